@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+const http = require('http');
+
+/**
+ * A stand-in for an OpenAI-compatible server, for trying the
+ * openai-compatible provider without a model. It answers
+ * POST /v1/chat/completions with a fixed name (or a structured analysis
+ * when response_format asks for JSON), lists one model at GET /v1/models,
+ * and prints each request's headers and options so auth headers and
+ * request options can be checked.
+ *
+ *   node scripts/mock-openai-server.js [--port 8089] [--api-key KEY]
+ *     [--name quarterly_revenue_dashboard] [--status 503] [--retry-after 30] [--delay 0]
+ *
+ * With --api-key, requests without "Authorization: Bearer KEY" get a 401.
+ * With --status, every completion fails with that status, and with
+ * --retry-after the failures carry that Retry-After header.
+ */
+
+const MODEL = 'mock-vision';
+
+function getArgValue(argName, defaultValue) {
+  const index = process.argv.indexOf(argName);
+  return index !== -1 && index + 1 < process.argv.length ? process.argv[index + 1] : defaultValue;
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function describeRequest(req, body) {
+  const headers = { ...req.headers };
+  if (headers.authorization) {
+    headers.authorization = headers.authorization.replace(/^(Bearer\s+.{0,4}).*$/i, '$1…');
+  }
+  const content = body.messages && body.messages[0] && body.messages[0].content;
+  const hasImage = Array.isArray(content) && content.some(part => part.type === 'image_url');
+
+  console.log(`${new Date().toISOString()} ${req.method} ${req.url}`);
+  console.log(`  headers: ${JSON.stringify(headers)}`);
+  console.log(`  model: ${body.model}, image: ${hasImage ? 'yes' : 'no'}, max_tokens: ${body.max_tokens}, temperature: ${body.temperature}, stop: ${JSON.stringify(body.stop)}`);
+}
+
+/**
+ * Create the mock server; call listen() on it
+ * @param {Object} options
+ * @param {string} options.apiKey - Bearer token to require
+ * @param {string} options.name - Name to answer with
+ * @param {number} options.status - Fail every completion with this HTTP status
+ * @param {string} options.retryAfter - Retry-After header sent with those failures
+ * @param {number} options.delay - Milliseconds to wait before answering
+ * @returns {http.Server}
+ */
+function createMockServer(options = {}) {
+  const name = options.name || 'quarterly_revenue_dashboard';
+
+  return http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (options.apiKey && req.headers.authorization !== `Bearer ${options.apiKey}`) {
+        console.log(`${new Date().toISOString()} ${req.method} ${req.url} rejected: missing or wrong bearer token`);
+        return sendJson(res, 401, { error: { message: 'Invalid API key', type: 'invalid_request_error' } });
+      }
+
+      if (req.method === 'GET' && req.url.replace(/\/+$/, '') === '/v1/models') {
+        return sendJson(res, 200, { object: 'list', data: [{ id: MODEL, object: 'model', owned_by: 'mock' }] });
+      }
+
+      if (req.method !== 'POST' || req.url.replace(/\/+$/, '') !== '/v1/chat/completions') {
+        return sendJson(res, 404, { error: { message: `No route for ${req.method} ${req.url}` } });
+      }
+
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        return sendJson(res, 400, { error: { message: 'Request body is not JSON' } });
+      }
+      describeRequest(req, body);
+
+      setTimeout(() => {
+        if (options.status) {
+          return sendJson(res, options.status, { error: { message: `Mock failure ${options.status}` } },
+            options.retryAfter ? { 'Retry-After': String(options.retryAfter) } : {});
+        }
+
+        const structured = body.response_format && body.response_format.type !== 'text';
+        const content = structured
+          ? JSON.stringify({
+            name,
+            description: 'A mock analysis from the test server',
+            tags: ['mock', 'test'],
+            category: 'test',
+            detectedApp: null,
+            confidence: 0.9,
+            alternatives: []
+          })
+          : name;
+
+        sendJson(res, 200, {
+          id: `chatcmpl-mock-${Date.now()}`,
+          object: 'chat.completion',
+          created: Math.floor(Date.now() / 1000),
+          model: body.model || MODEL,
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+        });
+      }, options.delay || 0);
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(getArgValue('--port', 8089));
+  const server = createMockServer({
+    apiKey: getArgValue('--api-key', null),
+    name: getArgValue('--name', null),
+    status: Number(getArgValue('--status', 0)),
+    retryAfter: getArgValue('--retry-after', null),
+    delay: Number(getArgValue('--delay', 0))
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock OpenAI-compatible server on http://localhost:${port}/v1 (model "${MODEL}")`);
+    console.log('Press Ctrl+C to stop.');
+  });
+}
+
+module.exports = { createMockServer };
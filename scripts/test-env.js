@@ -8,7 +8,7 @@ const logger = require('../src/logger');
 async function testEnvironment() {
   logger.level = 'info';
   const currentConfig = config.load();
-  const provider = currentConfig.aiProvider;
+  const provider = [].concat(currentConfig.aiProvider || []).join(' → ');
 
   if (!provider) {
     logger.error('No AI provider is configured. Please run `npm run setup` first.');
@@ -1,5 +1,25 @@
 // Shared utilities for AI vision analyzers
 const path = require('path');
+const crypto = require('crypto');
+const { applyNamingStyle, usesUnicode } = require('./naming-style');
+const PromptBuilder = require('./prompt-builder');
+
+/**
+ * Get the naming prompt for a configuration, built from its prompt template
+ */
+function getNamingPrompt(config) {
+  return new PromptBuilder(config || {}).build();
+}
+
+/**
+ * Short fingerprint of the prompt in use, so cached results from an
+ * earlier prompt aren't reused after the prompt changes. Unicode mode is
+ * included because analyzers clean their answers with it.
+ */
+function getPromptVersion(config) {
+  const unicode = usesUnicode(config) ? '|unicode' : '';
+  return crypto.createHash('sha256').update(getNamingPrompt(config) + unicode).digest('hex').substring(0, 12);
+}
 
 /**
  * Get MIME type for image file
@@ -18,16 +38,17 @@ function getMimeType(filePath) {
 }
 
 /**
- * Clean filename from AI analysis result
+ * Clean filename from AI analysis result, as snake_case.
+ * The configured naming style is applied later, when the file is renamed.
+ * @param {string} text - Raw model output
+ * @param {Object} settings - Configuration; unicodeFilenames or a non-English outputLanguage keeps non-ASCII letters
  */
-function cleanFilename(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '_') // Replace spaces with underscores
-    .replace(/_+/g, '_') // Remove multiple underscores
-    .replace(/^_|_$/g, '') // Remove leading/trailing underscores
-    .substring(0, 50) // Limit length
+function cleanFilename(text, settings = {}) {
+  return applyNamingStyle(text, {
+    style: 'snake_case',
+    unicode: usesUnicode(settings),
+    maxLength: settings.promptVariables && settings.promptVariables.maxLength
+  })
     || 'analyzed_image'; // Fallback if cleaning results in empty string
 }
 
@@ -47,6 +68,8 @@ function getFallbackName(imagePath) {
 }
 
 module.exports = {
+  getNamingPrompt,
+  getPromptVersion,
   getMimeType,
   cleanFilename,
   getFallbackName
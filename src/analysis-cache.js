@@ -0,0 +1,140 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Persistent cache of analysis results, keyed by image content plus the
+ * provider, model and prompt that produced them, so identical images are
+ * named instantly without another model call. Hits only update the LRU
+ * timestamp in memory; it reaches the file with the next write.
+ */
+class AnalysisCache {
+  /**
+   * @param {string} cachePath - Location of the cache file
+   * @param {Object} options
+   * @param {number} options.maxEntries - Least recently used entries beyond this are evicted
+   * @param {number} options.ttlDays - Entries older than this are ignored and evicted
+   */
+  constructor(cachePath = config.getStatePath('analysis-cache.json'), options = {}) {
+    this.cachePath = cachePath;
+    this.maxEntries = options.maxEntries || 1000;
+    this.ttlDays = options.ttlDays || 30;
+    this.entries = {};
+    this.touched = {}; // lastUsedAt of hits not yet saved, by key
+    this.load();
+  }
+
+  /**
+   * Build a cache key
+   * @param {Object} parts - contentHash, provider, model and promptVersion
+   * @returns {string} Key
+   */
+  static createKey({ contentHash, provider, model, promptVersion }) {
+    return crypto.createHash('sha256')
+      .update([contentHash, provider, model, promptVersion].join('|'))
+      .digest('hex');
+  }
+
+  configure(options = {}) {
+    if (options.maxEntries) this.maxEntries = options.maxEntries;
+    if (options.ttlDays) this.ttlDays = options.ttlDays;
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.cachePath)) {
+        const data = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+        this.entries = data.entries || {};
+      }
+      for (const [key, lastUsedAt] of Object.entries(this.touched)) {
+        if (this.entries[key]) {
+          this.entries[key].lastUsedAt = lastUsedAt;
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to read analysis cache: ${this.cachePath}`, error);
+      this.entries = {};
+    }
+  }
+
+  save() {
+    try {
+      const tempPath = `${this.cachePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, entries: this.entries }));
+      fs.renameSync(tempPath, this.cachePath);
+      this.touched = {};
+      return true;
+    } catch (error) {
+      logger.error(`Failed to write analysis cache: ${this.cachePath}`, error);
+      return false;
+    }
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return now - new Date(entry.createdAt).getTime() > this.ttlDays * DAY_MS;
+  }
+
+  /**
+   * Look up a cached analysis
+   * @param {string} key - Key from createKey()
+   * @returns {*} Cached analysis, or undefined
+   */
+  get(key) {
+    this.load();
+    const entry = this.entries[key];
+    if (!entry) {
+      return undefined;
+    }
+
+    // Expired entries are dropped by the next set()
+    if (this.isExpired(entry)) {
+      return undefined;
+    }
+
+    entry.lastUsedAt = new Date().toISOString();
+    this.touched[key] = entry.lastUsedAt;
+    return entry.analysis;
+  }
+
+  set(key, analysis) {
+    this.load();
+    const now = new Date().toISOString();
+    this.entries[key] = { analysis, createdAt: now, lastUsedAt: now };
+    this.evict();
+    this.save();
+  }
+
+  // Drop expired entries, then the least recently used beyond maxEntries
+  evict() {
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(this.entries)) {
+      if (this.isExpired(entry, now)) {
+        delete this.entries[key];
+      }
+    }
+
+    const keys = Object.keys(this.entries);
+    const excess = keys.length - this.maxEntries;
+    if (excess > 0) {
+      keys
+        .sort((a, b) => this.entries[a].lastUsedAt.localeCompare(this.entries[b].lastUsedAt))
+        .slice(0, excess)
+        .forEach(key => delete this.entries[key]);
+    }
+  }
+
+  clear() {
+    this.entries = {};
+    this.save();
+  }
+
+  size() {
+    this.load();
+    return Object.keys(this.entries).length;
+  }
+}
+
+module.exports = AnalysisCache;
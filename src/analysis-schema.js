@@ -0,0 +1,158 @@
+const { z } = require('zod');
+const { cleanFilename, getFallbackName } = require('./ai-utils');
+const { applyNamingStyle, usesUnicode } = require('./naming-style');
+
+/**
+ * The analysis every analyzer hands to the pipeline:
+ *
+ *   { name, description, tags, category, detectedApp, confidence, alternatives, fallback?, provider? }
+ *
+ * In structured mode the model itself returns this as JSON; otherwise only
+ * the name is known and the other fields are empty. `alternatives` holds
+ * further candidate names when candidateCount asks for several. A provider
+ * chain adds `provider`, the provider that named the image.
+ */
+
+// Some models answer 0-100 rather than 0-1
+const confidence = z.preprocess(
+  (value) => (typeof value === 'number' && value > 1 && value <= 100 ? value / 100 : value),
+  z.number().min(0).max(1)
+);
+
+// What the model must return in structured mode
+const AnalysisSchema = z.object({
+  name: z.string().trim().min(1, 'Analysis name cannot be empty'),
+  description: z.string().trim().default(''),
+  tags: z.array(z.string()).default([]),
+  category: z.string().trim().nullable().default(null),
+  detectedApp: z.string().trim().nullable().default(null),
+  confidence: confidence.nullable().default(null),
+  alternatives: z.array(z.string()).default([])
+});
+
+// The same shape as JSON Schema, for LM Studio's response_format and Ollama's format.
+// Strict structured outputs need every property required and no others
+// allowed, so the optional fields are nullable instead.
+const ANALYSIS_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    category: { type: ['string', 'null'] },
+    detectedApp: { type: ['string', 'null'] },
+    confidence: { type: ['number', 'null'] },
+    alternatives: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['name', 'description', 'tags', 'category', 'detectedApp', 'confidence', 'alternatives'],
+  additionalProperties: false
+};
+
+const EMPTY_ANALYSIS = {
+  description: '',
+  tags: [],
+  category: null,
+  detectedApp: null,
+  confidence: null,
+  alternatives: []
+};
+
+/**
+ * Cleaned alternatives, without repeats of the name or of each other
+ */
+function cleanAlternatives(names, name, settings) {
+  const alternatives = names.map(alternative => cleanFilename(alternative, settings));
+  return [...new Set(alternatives)].filter(alternative => alternative !== name && alternative !== 'analyzed_image');
+}
+
+/**
+ * Analysis from a bare-text answer (simple mode). When several candidates
+ * were asked for they come one per line, possibly numbered or bulleted.
+ * @param {string} text - Raw model output
+ * @param {Object} settings - Configuration, for filename cleaning and candidateCount
+ * @returns {Object} Analysis
+ */
+function createAnalysis(text, settings = {}) {
+  if (!(settings.candidateCount > 1)) {
+    return { ...EMPTY_ANALYSIS, name: cleanFilename(text, settings) };
+  }
+
+  const lines = String(text)
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+  const name = cleanFilename(lines[0] || '', settings);
+
+  return { ...EMPTY_ANALYSIS, name, alternatives: cleanAlternatives(lines.slice(1), name, settings) };
+}
+
+/**
+ * Analysis used when the model could not be asked, named by timestamp
+ * @param {string} imagePath - Image that failed
+ * @returns {Object} Analysis marked as a fallback
+ */
+function createFallbackAnalysis(imagePath) {
+  return { ...EMPTY_ANALYSIS, name: getFallbackName(imagePath), fallback: true };
+}
+
+/**
+ * Parse and validate a structured (JSON) answer
+ * @param {string} text - Raw model output, possibly wrapped in a ```json fence
+ * @param {Object} settings - Configuration, for filename cleaning
+ * @returns {Object} Analysis
+ * @throws {Error} When the answer isn't valid JSON of the expected shape
+ */
+function parseStructuredAnalysis(text, settings = {}) {
+  const json = String(text).trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    // Another attempt may well produce valid JSON
+    throw Object.assign(new Error(`Model did not return valid JSON: ${error.message}`), { retryable: true });
+  }
+
+  const result = AnalysisSchema.safeParse(data);
+  if (!result.success) {
+    const issues = result.error.errors.map(err => `${err.path.join('.') || 'analysis'}: ${err.message}`);
+    throw Object.assign(new Error(`Model returned an invalid analysis (${issues.join('; ')})`), { retryable: true });
+  }
+
+  const analysis = result.data;
+  const name = cleanFilename(analysis.name, settings);
+  const cleanLabel = (label) => applyNamingStyle(label, { style: 'snake_case', unicode: usesUnicode(settings), maxLength: 30 });
+  const tags = analysis.tags.map(cleanLabel).filter(Boolean);
+
+  return {
+    name,
+    description: analysis.description,
+    tags: [...new Set(tags)],
+    category: cleanLabel(analysis.category || '') || null,
+    detectedApp: analysis.detectedApp || null,
+    confidence: analysis.confidence,
+    alternatives: cleanAlternatives(analysis.alternatives, name, settings)
+  };
+}
+
+/**
+ * Bring a stored analysis (cache, plans) into the current shape;
+ * older versions stored the bare name
+ * @param {string|Object} value - Stored analysis
+ * @returns {Object} Analysis
+ */
+function normalizeAnalysis(value) {
+  if (typeof value === 'string') {
+    return { ...EMPTY_ANALYSIS, name: value };
+  }
+  return { ...EMPTY_ANALYSIS, ...value };
+}
+
+module.exports = {
+  AnalysisSchema,
+  ANALYSIS_JSON_SCHEMA,
+  createAnalysis,
+  createFallbackAnalysis,
+  parseStructuredAnalysis,
+  normalizeAnalysis
+};
@@ -1,6 +1,6 @@
-const GeminiVisionAnalyzer = require('../gemini-vision');
-const LMStudioVisionAnalyzer = require('../lmstudio-vision');
-const OllamaAnalyzer = require('./ollama-analyzer');
+const providerRegistry = require('./provider-registry');
+const { RetryingAnalyzer } = require('./retry');
+const CompositeAnalyzer = require('./composite-analyzer');
 const logger = require('../logger');
 
 /**
@@ -8,7 +8,9 @@ const logger = require('../logger');
  */
 class AnalyzerFactory {
   /**
-   * Create an analyzer instance based on configuration
+   * Create an analyzer instance based on configuration, wrapped so that
+   * transient failures are retried (maxRetries, retryDelay). When
+   * aiProvider is a chain, each provider is tried in turn.
    * @param {Object} config - Configuration object
    * @returns {Object} Configured analyzer instance
    */
@@ -17,29 +19,35 @@ class AnalyzerFactory {
       throw new Error('Configuration is required to create analyzer');
     }
 
-    const provider = config.aiProvider || 'gemini';
+    const providers = [...new Set([].concat(config.aiProvider || 'gemini'))];
+    const links = providers.map(provider => {
+      const providerConfig = { ...config, aiProvider: provider };
+      return {
+        provider,
+        analyzer: new RetryingAnalyzer(this.createProviderAnalyzer(providerConfig), providerConfig)
+      };
+    });
 
-    switch (provider) {
-      case 'gemini':
-        return new GeminiVisionAnalyzer(config);
-        
-      case 'lmstudio':
-        return new LMStudioVisionAnalyzer(config);
-        
-      case 'ollama':
-        return new OllamaAnalyzer(config);
-        
-      default:
-        throw new Error(`Unknown AI provider: ${provider}`);
-    }
+    return links.length === 1 ? links[0].analyzer : new CompositeAnalyzer(links);
+  }
+
+  /**
+   * The bare analyzer for the configured provider, without retries;
+   * its analyzeImage throws on failure. Providers come from the
+   * registry, built-in or plugin alike.
+   * @param {Object} config - Configuration object
+   * @returns {Object} Analyzer instance
+   */
+  static createProviderAnalyzer(config) {
+    return providerRegistry.create(config.aiProvider || 'gemini', config);
   }
 
   /**
    * Get available analyzer types
-   * @returns {Array} Array of available provider names
+   * @returns {Array} Array of available provider names, plugins included
    */
   static getAvailableProviders() {
-    return ['gemini', 'lmstudio', 'ollama'];
+    return providerRegistry.getNames();
   }
 
   /**
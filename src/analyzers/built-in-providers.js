@@ -0,0 +1,161 @@
+const { z } = require('zod');
+
+/**
+ * The providers that ship with the app, in the shape every provider takes
+ * in the registry:
+ *
+ *   name            the aiProvider value
+ *   label           how setup offers it
+ *   configSchema    zod schema for the settings it needs when in use
+ *   create(config)  a bare analyzer whose analyzeImage throws on failure
+ *   getModelName    the configured model, for logs, the cache and the journal
+ *   hints           what to check when its connection test fails
+ *   setupQuestions  optional inquirer questions for its settings; setup
+ *                   asks Gemini's, LM Studio's and Ollama's itself
+ *
+ * Analyzer modules are required on first use, so validating a
+ * configuration doesn't load every provider's client library.
+ */
+module.exports = [
+  {
+    name: 'gemini',
+    label: 'Gemini (Cloud-based)',
+    configSchema: z.object({
+      geminiApiKey: z.string()
+        .min(1, 'Gemini API key is required')
+        .regex(/^AIza[A-Za-z0-9_-]{35}$/, 'Invalid Gemini API key format'),
+      geminiModel: z.string()
+        .default('gemini-2.0-flash-exp')
+    }),
+    create: (config) => {
+      const GeminiVisionAnalyzer = require('../gemini-vision');
+      return new GeminiVisionAnalyzer(config);
+    },
+    getModelName: (config) => config.geminiModel,
+    hints: [
+      'Check your API key is correct',
+      'Ensure you have internet connection',
+      'Visit https://aistudio.google.com/apikey to get a new key'
+    ]
+  },
+  {
+    name: 'lmstudio',
+    label: 'LM Studio (Local)',
+    configSchema: z.object({
+      lmstudioBaseUrl: z.string()
+        .url('Invalid LM Studio base URL')
+        .default('http://localhost:1234'),
+      lmstudioModel: z.string()
+        .min(1, 'LM Studio model name is required')
+        .default('google/gemma-3-4b'),
+      lmstudioMaxTokens: z.number()
+        .int()
+        .min(10)
+        .max(200)
+        .default(50),
+      lmstudioTemperature: z.number()
+        .min(0)
+        .max(1)
+        .default(0.1)
+    }),
+    create: (config) => {
+      const LMStudioVisionAnalyzer = require('../lmstudio-vision');
+      return new LMStudioVisionAnalyzer(config);
+    },
+    getModelName: (config) => config.lmstudioModel,
+    hints: [
+      'Make sure LM Studio is running',
+      'Verify the server address is correct',
+      'Check that a vision model (like llava) is loaded'
+    ]
+  },
+  {
+    name: 'ollama',
+    label: 'Ollama (Local)',
+    configSchema: z.object({
+      ollamaBaseUrl: z.string()
+        .url('Invalid Ollama base URL')
+        .default('http://localhost:11434'),
+      ollamaModel: z.string()
+        .min(1, 'Ollama model name is required')
+        .default('gemma3:4b')
+    }),
+    create: (config) => {
+      const OllamaAnalyzer = require('./ollama-analyzer');
+      return new OllamaAnalyzer(config);
+    },
+    getModelName: (config) => config.ollamaModel,
+    hints: [
+      'Make sure Ollama is installed and running',
+      'Try: curl -fsSL https://ollama.com/install.sh | sh',
+      'Then: ollama pull llava',
+      'Verify the server address is correct'
+    ]
+  },
+  {
+    name: 'openai-compatible',
+    label: 'OpenAI-compatible server (llama.cpp, vLLM, LiteLLM...)',
+    configSchema: z.object({
+      openaiBaseUrl: z.string()
+        .url('Invalid OpenAI-compatible base URL'),
+      openaiModel: z.string()
+        .min(1, 'OpenAI-compatible model name is required'),
+      openaiApiKey: z.string()
+        .optional(),
+      openaiHeaders: z.record(z.string())
+        .default({}),
+      openaiRequestOptions: z.object({
+        max_tokens: z.number().int().positive().optional(),
+        temperature: z.number().min(0).max(2).optional(),
+        top_p: z.number().min(0).max(1).optional(),
+        stop: z.union([z.string(), z.array(z.string()).max(4)]).optional()
+      }).passthrough()
+        .default({}),
+      openaiTimeout: z.number()
+        .int()
+        .min(1000)
+        .max(10 * 60 * 1000)
+        .default(60000)
+    }),
+    create: (config) => {
+      const OpenAICompatibleAnalyzer = require('./openai-compatible-analyzer');
+      return new OpenAICompatibleAnalyzer(config);
+    },
+    getModelName: (config) => config.openaiModel,
+    hints: [
+      'Make sure the server is running and serves /chat/completions under the base URL',
+      'Check the base URL includes the API version, such as http://localhost:8080/v1',
+      'Verify the API key and any headers the server or gateway requires',
+      'Check the model name matches one the server has loaded'
+    ],
+    setupQuestions: (currentConfig) => [
+      {
+        type: 'input',
+        name: 'openaiBaseUrl',
+        message: '🌐 Server base URL, including the API version:',
+        default: currentConfig.openaiBaseUrl || 'http://localhost:8080/v1',
+        validate: (input) => {
+          try {
+            new URL(input.trim());
+            return true;
+          } catch {
+            return 'Please provide a valid URL (e.g., http://localhost:8080/v1)';
+          }
+        }
+      },
+      {
+        type: 'password',
+        name: 'openaiApiKey',
+        message: '🔑 API key (leave empty if the server needs none):',
+        default: currentConfig.openaiApiKey
+      },
+      {
+        type: 'input',
+        name: 'openaiModel',
+        message: '🧠 Vision model name on the server:',
+        default: currentConfig.openaiModel,
+        validate: (input) => (input.trim() ? true : 'A model name is required.')
+      }
+    ]
+  }
+];
@@ -0,0 +1,88 @@
+const logger = require('../logger');
+const { createFallbackAnalysis } = require('../analysis-schema');
+
+/**
+ * Tries a chain of providers in order, for example local LM Studio, then
+ * Ollama, then Gemini. Each link is a RetryingAnalyzer, so a provider has
+ * had its retries before the next one is asked. A provider is passed over
+ * when it fails (connection refused, timeout, rate limit, bad key) or
+ * answers with an empty name; the analysis records which provider named
+ * the image as `provider`. Providers whose circuit is open (see
+ * provider-health.js) are passed over without being asked.
+ */
+class CompositeAnalyzer {
+  /**
+   * @param {Array<{provider: string, analyzer: Object}>} links - Analyzers in order of preference
+   */
+  constructor(links) {
+    if (!links || links.length === 0) {
+      throw new Error('A provider chain needs at least one provider');
+    }
+    this.links = links;
+    this.provider = links.map(link => link.provider).join(' → ');
+  }
+
+  /**
+   * Test every provider in the chain
+   * @returns {Promise<Object>} success when any provider answers; `provider` is
+   *   the first that does and `results` holds each provider's outcome
+   */
+  async testConnection() {
+    const results = [];
+    for (const { provider, analyzer } of this.links) {
+      const result = await analyzer.testConnection();
+      results.push({ provider, ...result });
+    }
+
+    const working = results.find(result => result.success);
+    if (working) {
+      return { ...working, results };
+    }
+    return {
+      success: false,
+      error: results.map(result => `${result.provider}: ${result.error}`).join('; '),
+      results
+    };
+  }
+
+  /**
+   * Analyze an image with the first provider that can name it
+   * @param {string} imagePath - Image to name
+   * @param {Object} options - Passed to each analyzer
+   * @returns {Promise<Object>} Analysis tagged with its provider, or a fallback
+   *   analysis when every provider failed, marked `unavailable` when no
+   *   provider could be reached or every circuit is open
+   */
+  async analyzeImage(imagePath, options = {}) {
+    let unavailable = true;
+
+    for (let i = 0; i < this.links.length; i++) {
+      const { provider, analyzer } = this.links[i];
+      const analysis = await analyzer.analyzeImage(imagePath, options);
+
+      if (analysis && !analysis.fallback && analysis.name && analysis.name.trim()) {
+        if (i > 0) {
+          logger.info(`${provider} named the image after ${this.links.slice(0, i).map(link => link.provider).join(', ')} failed`);
+        }
+        return { ...analysis, provider };
+      }
+
+      unavailable = unavailable && Boolean(analysis && analysis.unavailable);
+      const next = this.links[i + 1];
+      if (next && analysis && analysis.unavailable) {
+        logger.debug(`${provider} is unavailable, trying ${next.provider}`, { file: imagePath });
+      } else if (next) {
+        logger.warn(`${provider} could not name the image, trying ${next.provider}`, { file: imagePath });
+      }
+    }
+
+    if (unavailable) {
+      return { ...createFallbackAnalysis(imagePath), unavailable: true };
+    }
+
+    logger.error(`Every provider failed (${this.provider}), using fallback name`, null, { file: imagePath });
+    return createFallbackAnalysis(imagePath);
+  }
+}
+
+module.exports = CompositeAnalyzer;
@@ -1,7 +1,8 @@
 const fs = require('fs');
 const { Ollama } = require('ollama');
 const logger = require('../logger');
-const { getMimeType, cleanFilename, getFallbackName } = require('../ai-utils');
+const { getMimeType, getNamingPrompt } = require('../ai-utils');
+const { ANALYSIS_JSON_SCHEMA, createAnalysis, parseStructuredAnalysis } = require('../analysis-schema');
 
 class OllamaAnalyzer {
   constructor(config = null) {
@@ -30,46 +31,50 @@ class OllamaAnalyzer {
     logger.info(`Ollama configured: ${baseUrl} with model ${this.modelName}`);
   }
 
-  async analyzeImage(imagePath) {
+  /**
+   * @param {string} imagePath - Image to name
+   * @param {Object} options
+   * @param {string} options.prompt - Ask this instead of the configured naming prompt
+   */
+  async analyzeImage(imagePath, options = {}) {
     try {
       // Read the image file
       const imageBuffer = fs.readFileSync(imagePath);
       const base64Image = imageBuffer.toString('base64');
       
       // Prepare the prompt for naming
-      const prompt = `Analyze this image and provide a short, descriptive filename (without extension) that would be suitable for organizing this image. 
-      Focus on the main subject, action, or content of the image. 
-      Use clear, simple words separated by underscores.
-      Examples: "login_screen", "dashboard_overview", "error_message", "user_profile", "mobile_menu"
-      Keep it under 50 characters and avoid special characters.
-      Just respond with the filename, nothing else.`;
+      const prompt = options.prompt || getNamingPrompt(this.config);
 
       // Make the API call to Ollama
+      const structured = Boolean(this.config.structuredAnalysis);
+      const candidates = this.config.candidateCount || 1;
       const response = await this.client.generate({
         model: this.modelName,
         prompt: prompt,
         images: [base64Image],
+        ...(structured && { format: ANALYSIS_JSON_SCHEMA }),
         options: {
           temperature: 0.3,
-          num_predict: 50
+          num_predict: (structured ? 400 : 50) * candidates
         }
       });
 
       if (!response || !response.response) {
-        throw new Error('No response from Ollama');
+        throw Object.assign(new Error('No response from Ollama'), { retryable: true });
       }
 
       const text = response.response.trim();
-      const cleanedText = cleanFilename(text);
+      const analysis = structured
+        ? parseStructuredAnalysis(text, this.config)
+        : createAnalysis(text, this.config);
       
-      logger.info(`AI Analysis: "${cleanedText}"`);
-      return cleanedText;
+      logger.info(`AI Analysis: "${analysis.name}"`);
+      return analysis;
 
     } catch (error) {
-      logger.error('Error analyzing image with Ollama:', error);
-      
-      // Fallback to timestamp-based naming
-      return getFallbackName(imagePath);
+      // RetryingAnalyzer decides whether to try again or fall back
+      logger.debug('Error analyzing image with Ollama', { error: error.message });
+      throw error;
     }
   }
 
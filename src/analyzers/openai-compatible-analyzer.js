@@ -0,0 +1,173 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+const logger = require('../logger');
+const { getMimeType, getNamingPrompt } = require('../ai-utils');
+const { ANALYSIS_JSON_SCHEMA, createAnalysis, parseStructuredAnalysis } = require('../analysis-schema');
+
+// JSON answers need far more room than a bare filename
+const STRUCTURED_MAX_TOKENS = 400;
+
+/**
+ * Any server speaking OpenAI's /chat/completions: llama.cpp server, vLLM,
+ * LiteLLM and the like. The base URL includes the API version, as with
+ * OpenAI's own clients (http://localhost:8080/v1). openaiApiKey is sent as a
+ * bearer token and openaiHeaders are added to every request, overriding
+ * Authorization if they set it; openaiRequestOptions (max_tokens,
+ * temperature, stop...) are merged into the request body.
+ */
+class OpenAICompatibleAnalyzer {
+  constructor(config = null) {
+    this.baseUrl = null;
+    this.modelName = null;
+    this.config = config;
+
+    if (config) {
+      this.initializeAPI();
+    }
+  }
+
+  initializeAPI() {
+    if (!this.config) {
+      logger.error('No configuration provided to OpenAICompatibleAnalyzer');
+      return;
+    }
+
+    this.baseUrl = (this.config.openaiBaseUrl || 'http://localhost:8080/v1').replace(/\/+$/, '');
+    this.modelName = this.config.openaiModel;
+    this.timeout = this.config.openaiTimeout || 60000;
+
+    logger.debug(`OpenAI-compatible server configured: ${this.baseUrl}`);
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.config.openaiApiKey && { Authorization: `Bearer ${this.config.openaiApiKey}` }),
+      ...this.config.openaiHeaders
+    };
+  }
+
+  /**
+   * POST a chat completion, giving up after openaiTimeout
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Parsed response
+   * @throws {Error} With status and retryAfter for HTTP errors
+   */
+  async request(body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).trim().substring(0, 200);
+        throw Object.assign(new Error(`OpenAI-compatible API error: ${response.status} ${response.statusText}${detail ? ` (${detail})` : ''}`), {
+          status: response.status,
+          retryAfter: response.headers.get('retry-after')
+        });
+      }
+
+      return await response.json();
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw Object.assign(new Error(`OpenAI-compatible server timed out after ${this.timeout / 1000}s`), { retryable: true });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @param {string} imagePath - Image to name
+   * @param {Object} options
+   * @param {string} options.prompt - Ask this instead of the configured naming prompt
+   */
+  async analyzeImage(imagePath, options = {}) {
+    try {
+      const base64Image = fs.readFileSync(imagePath).toString('base64');
+      const prompt = options.prompt || getNamingPrompt(this.config);
+      const structured = Boolean(this.config.structuredAnalysis);
+      const candidates = this.config.candidateCount || 1;
+
+      // A bare filename ends at the first newline, unless several come one per line
+      const defaults = { max_tokens: 50 * candidates, temperature: 0.1 };
+      if (!structured && candidates === 1) {
+        defaults.stop = ['\n'];
+      }
+
+      const requestBody = {
+        ...defaults,
+        ...this.config.openaiRequestOptions,
+        model: this.modelName,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: prompt },
+              { type: 'image_url', image_url: { url: `data:${getMimeType(imagePath)};base64,${base64Image}` } }
+            ]
+          }
+        ]
+      };
+
+      if (structured) {
+        requestBody.max_tokens = Math.max(requestBody.max_tokens, STRUCTURED_MAX_TOKENS);
+        requestBody.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'screenshot_analysis', strict: true, schema: ANALYSIS_JSON_SCHEMA }
+        };
+      }
+
+      const data = await this.request(requestBody);
+      const text = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+
+      if (!text || !text.trim()) {
+        throw Object.assign(new Error('No response from OpenAI-compatible server'), { retryable: true });
+      }
+
+      const analysis = structured
+        ? parseStructuredAnalysis(text.trim(), this.config)
+        : createAnalysis(text.trim(), this.config);
+
+      logger.debug(`AI Analysis: "${analysis.name}"`);
+      return analysis;
+
+    } catch (error) {
+      // RetryingAnalyzer decides whether to try again or fall back
+      logger.debug('Error analyzing image with OpenAI-compatible server', { error: error.message });
+      throw error;
+    }
+  }
+
+  // Method to test API connection
+  async testConnection() {
+    try {
+      const data = await this.request({
+        model: this.modelName,
+        messages: [{ role: 'user', content: "Hello, respond with 'API working'" }],
+        max_tokens: 10,
+        temperature: 0.1
+      });
+
+      return {
+        success: true,
+        message: 'OpenAI-compatible server connection successful',
+        response: data.choices?.[0]?.message?.content || 'Connected'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleAnalyzer;
@@ -0,0 +1,55 @@
+const { getNamingPrompt } = require('../ai-utils');
+const { ANALYSIS_JSON_SCHEMA, createAnalysis, parseStructuredAnalysis } = require('../analysis-schema');
+
+/**
+ * Adapts a provider plugin to the analyzer interface. Plugins export plain
+ * functions that receive the configuration; they may answer with the bare
+ * name text or with a structured analysis object, and this turns either
+ * into a cleaned analysis like the built-in analyzers produce.
+ */
+class PluginAnalyzer {
+  /**
+   * @param {Object} plugin - Plugin module exports
+   * @param {Object} config - Configuration for the provider
+   */
+  constructor(plugin, config = {}) {
+    this.plugin = plugin;
+    this.config = config;
+  }
+
+  /**
+   * @param {string} imagePath - Image to name
+   * @param {Object} options
+   * @param {string} options.prompt - Ask this instead of the configured naming prompt
+   * @returns {Promise<Object>} Analysis
+   * @throws {Error} Whatever the plugin throws, or when it answers with nothing
+   */
+  async analyzeImage(imagePath, options = {}) {
+    const structured = Boolean(this.config.structuredAnalysis);
+    const answer = await this.plugin.analyzeImage(imagePath, {
+      prompt: options.prompt || getNamingPrompt(this.config),
+      structured,
+      jsonSchema: ANALYSIS_JSON_SCHEMA,
+      config: this.config
+    });
+
+    if (answer === null || answer === undefined || answer === '') {
+      throw Object.assign(new Error(`No response from ${this.plugin.name}`), { retryable: true });
+    }
+
+    return typeof answer === 'string' && !structured
+      ? createAnalysis(answer, this.config)
+      : parseStructuredAnalysis(typeof answer === 'string' ? answer : JSON.stringify(answer), this.config);
+  }
+
+  async testConnection() {
+    try {
+      const result = await this.plugin.testConnection(this.config);
+      return result && typeof result === 'object' ? result : { success: Boolean(result) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = PluginAnalyzer;
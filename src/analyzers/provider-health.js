@@ -0,0 +1,224 @@
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../logger');
+
+const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+/**
+ * Health of each AI provider, with a circuit breaker. After
+ * circuitBreakerThreshold analyses in a row fail, the provider's circuit
+ * opens and nobody asks it anything: a provider chain moves straight on to
+ * the next provider, and with nothing left to ask the file waits in the
+ * processing queue. Background probes (testConnection) close the circuit
+ * once the provider answers again; failing that, after
+ * circuitBreakerCooldown one analysis is let through as a trial
+ * (half-open), and one more failure reopens the circuit.
+ *
+ * State is kept in memory. Only the long-running service persists it
+ * (see persist()): it reads health.json when it starts and writes it
+ * whenever a circuit changes state or a failure is counted, so `status`
+ * can show it. One-off commands such as `rename` start with every circuit
+ * closed and keep what they learn to themselves, so a failed batch never
+ * shuts a provider out of the next run, nor overwrites the service's view.
+ */
+class ProviderHealth {
+  /**
+   * @param {string} healthPath - Location of the health file; the state directory by default
+   * @param {Object} options
+   * @param {boolean} options.persistent - Read and write the health file
+   */
+  constructor(healthPath = null, options = {}) {
+    this.healthPath = healthPath;
+    this.persistent = Boolean(options.persistent);
+    this.providers = null;
+  }
+
+  /**
+   * Read and write the health file from now on; for the service
+   */
+  persist() {
+    this.persistent = true;
+    this.providers = null;
+  }
+
+  getPath() {
+    if (!this.healthPath) {
+      this.healthPath = config.getStatePath('health.json');
+    }
+    return this.healthPath;
+  }
+
+  load() {
+    this.providers = {};
+    try {
+      if (fs.existsSync(this.getPath())) {
+        const data = JSON.parse(fs.readFileSync(this.getPath(), 'utf8'));
+        this.providers = data.providers && typeof data.providers === 'object' ? data.providers : {};
+      }
+    } catch (error) {
+      logger.error(`Failed to read provider health: ${this.healthPath}`, error);
+    }
+  }
+
+  save() {
+    if (!this.persistent) return false;
+
+    try {
+      const tempPath = `${this.getPath()}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, providers: this.providers }, null, 2));
+      fs.renameSync(tempPath, this.getPath());
+      return true;
+    } catch (error) {
+      logger.error(`Failed to write provider health: ${this.healthPath}`, error);
+      return false;
+    }
+  }
+
+  // Records are read from disk once, when first needed, if persisting
+  getRecords() {
+    if (!this.providers) {
+      if (this.persistent) {
+        this.load();
+      } else {
+        this.providers = {};
+      }
+    }
+    return this.providers;
+  }
+
+  /**
+   * A provider's health record
+   * @param {string} provider - Provider name
+   * @returns {Object} { state, consecutiveFailures, openedAt, lastError, lastFailureAt, lastSuccessAt, lastProbeAt }
+   */
+  get(provider) {
+    return { state: 'closed', consecutiveFailures: 0, ...this.getRecords()[provider] };
+  }
+
+  /**
+   * Every provider with a health record, as the service last wrote it; for
+   * `status`, which runs apart from the service
+   * @returns {Object} Records keyed by provider name, with the current circuit state
+   */
+  getAll(settings = {}) {
+    const reader = new ProviderHealth(this.getPath(), { persistent: true });
+    const records = reader.getRecords();
+    return Object.fromEntries(Object.keys(records)
+      .map(provider => [provider, { ...records[provider], state: reader.getState(provider, settings) }]));
+  }
+
+  /**
+   * The circuit state now: an open circuit turns half-open once the cooldown has passed
+   * @param {string} provider - Provider name
+   * @param {Object} settings - Configuration (circuitBreakerCooldown)
+   * @returns {string} 'closed', 'open' or 'half-open'
+   */
+  getState(provider, settings = {}) {
+    const record = this.getRecords()[provider];
+    if (!record || !CIRCUIT_STATES.includes(record.state) || record.state === 'closed') {
+      return 'closed';
+    }
+    const cooldown = settings.circuitBreakerCooldown || 60000;
+    return Date.now() - new Date(record.openedAt).getTime() >= cooldown ? 'half-open' : record.state;
+  }
+
+  /**
+   * Whether an analysis may be sent to the provider
+   * @param {string} provider - Provider name
+   * @param {Object} settings - Configuration (circuitBreakerCooldown)
+   */
+  isAvailable(provider, settings = {}) {
+    return this.getState(provider, settings) !== 'open';
+  }
+
+  /**
+   * Change a provider's record, saving only when its circuit opened, closed
+   * or reopened, or its failure count changed
+   */
+  update(provider, changes) {
+    const records = this.getRecords();
+    const before = this.get(provider);
+    records[provider] = { ...before, ...changes };
+
+    const after = records[provider];
+    if (after.state !== before.state || (after.openedAt || null) !== (before.openedAt || null)
+      || after.consecutiveFailures !== before.consecutiveFailures) {
+      this.save();
+    }
+    return after;
+  }
+
+  /**
+   * The provider answered: close its circuit
+   * @param {string} provider - Provider name
+   * @param {Object} changes - Further fields to record
+   * @returns {boolean} Whether the circuit was open or half-open
+   */
+  recordSuccess(provider, changes = {}) {
+    const wasOpen = this.get(provider).state !== 'closed';
+    this.update(provider, {
+      ...changes,
+      state: 'closed',
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastSuccessAt: new Date().toISOString()
+    });
+    if (wasOpen) {
+      logger.info(`🟢 ${provider} is answering again; circuit closed`);
+    }
+    return wasOpen;
+  }
+
+  /**
+   * An analysis failed: count it, and open the circuit at the threshold or
+   * when a half-open trial fails
+   * @param {string} provider - Provider name
+   * @param {Error|string} error - What went wrong
+   * @param {Object} settings - Configuration (circuitBreakerThreshold, circuitBreakerCooldown)
+   * @returns {Object} Updated record
+   */
+  recordFailure(provider, error, settings = {}) {
+    const record = this.get(provider);
+    const threshold = settings.circuitBreakerThreshold || 3;
+    const failures = record.consecutiveFailures + 1;
+    const trialFailed = this.getState(provider, settings) === 'half-open';
+    const changes = {
+      consecutiveFailures: failures,
+      lastError: error instanceof Error ? error.message : String(error),
+      lastFailureAt: new Date().toISOString()
+    };
+
+    if (trialFailed || (record.state === 'closed' && failures >= threshold)) {
+      Object.assign(changes, { state: 'open', openedAt: new Date().toISOString() });
+      logger.warn(`🔴 ${provider} circuit open after ${failures} failure(s) in a row; not asking it until it recovers`, {
+        error: changes.lastError
+      });
+    }
+
+    return this.update(provider, changes);
+  }
+
+  /**
+   * Note a background probe; a successful one closes the circuit
+   * @param {string} provider - Provider name
+   * @param {Object} result - testConnection() result
+   * @param {Object} settings - Configuration (circuitBreakerCooldown)
+   * @returns {boolean} Whether the probe closed an open circuit
+   */
+  recordProbe(provider, result, settings = {}) {
+    const now = new Date().toISOString();
+    if (result.success) {
+      return this.recordSuccess(provider, { lastProbeAt: now });
+    }
+
+    // Still down when a trial was due: reopen, since the trial would fail too
+    this.update(provider, {
+      lastProbeAt: now,
+      lastError: result.error || 'Connection test failed',
+      ...(this.getState(provider, settings) === 'half-open' && { state: 'open', openedAt: now })
+    });
+    return false;
+  }
+}
+
+module.exports = new ProviderHealth();
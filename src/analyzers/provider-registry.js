@@ -0,0 +1,162 @@
+const path = require('path');
+const os = require('os');
+const { z } = require('zod');
+const builtInProviders = require('./built-in-providers');
+const PluginAnalyzer = require('./plugin-analyzer');
+
+/**
+ * Every AI provider the app can use: the built-in ones plus plugins listed
+ * under `providerPlugins` in the configuration. Setup, validation, status
+ * and the analyzer factory all read from here.
+ *
+ * A plugin is a module, given as a path or an npm package name, exporting:
+ *
+ *   name                        the aiProvider value that selects it
+ *   analyzeImage(path, options) resolves to the name text or an analysis object;
+ *                               options hold prompt, structured, jsonSchema and config
+ *   testConnection(config)      resolves to { success, error? }
+ *   configSchema                a zod schema for its settings, or a function (z) => schema
+ *
+ * and optionally label, getModelName(config), hints and setupQuestions(currentConfig).
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.loadedPlugins = new Map();
+    builtInProviders.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Add a provider definition (see built-in-providers.js for the shape)
+   * @param {Object} definition
+   * @throws {Error} When the name is missing or taken
+   */
+  register(definition) {
+    if (!definition || typeof definition.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(definition.name)) {
+      throw new Error('A provider needs a name made of letters, digits, "-" or "_"');
+    }
+    if (this.providers.has(definition.name)) {
+      throw new Error(`Provider "${definition.name}" is already registered`);
+    }
+    this.providers.set(definition.name, { label: definition.name, hints: [], ...definition });
+  }
+
+  /**
+   * Turn a plugin module's exports into a provider definition
+   * @param {Object} plugin - Module exports
+   * @param {string} source - Where it was loaded from, for messages
+   * @returns {Object} Provider definition
+   * @throws {Error} When the module doesn't implement the plugin API
+   */
+  definePlugin(plugin, source) {
+    ['analyzeImage', 'testConnection'].forEach(method => {
+      if (typeof plugin[method] !== 'function') {
+        throw new Error(`Provider plugin ${source} does not export ${method}()`);
+      }
+    });
+
+    const configSchema = typeof plugin.configSchema === 'function' ? plugin.configSchema(z) : plugin.configSchema;
+    if (!configSchema || typeof configSchema.safeParse !== 'function') {
+      throw new Error(`Provider plugin ${source} does not export a zod configSchema`);
+    }
+
+    return {
+      name: plugin.name,
+      label: plugin.label || `${plugin.name} (plugin)`,
+      source,
+      configSchema,
+      create: (config) => new PluginAnalyzer(plugin, config),
+      getModelName: (config) => (plugin.getModelName ? plugin.getModelName(config) : undefined),
+      hints: plugin.hints || [],
+      setupQuestions: plugin.setupQuestions
+    };
+  }
+
+  /**
+   * Find a plugin's entry file. Paths are taken relative to baseDir and may
+   * start with "~"; anything else is looked up as an npm package.
+   * @param {string} spec - Path or package name
+   * @param {string} baseDir - Directory of the configuration file
+   * @returns {string} Resolved file
+   */
+  resolvePlugin(spec, baseDir) {
+    const expanded = spec.replace(/^~(?=$|[\/\\])/, os.homedir());
+    if (path.isAbsolute(expanded) || /^\.\.?([\/\\]|$)/.test(expanded)) {
+      return require.resolve(path.resolve(baseDir, expanded));
+    }
+    return require.resolve(spec, { paths: [baseDir, process.cwd(), path.join(__dirname, '..', '..')] });
+  }
+
+  /**
+   * Load and register plugins; ones already loaded are left alone
+   * @param {string[]} specs - Paths or npm package names from providerPlugins
+   * @param {string} baseDir - Directory relative paths start from
+   * @returns {Array<{spec: string, error: string}>} Plugins that could not be loaded
+   */
+  loadPlugins(specs = [], baseDir = os.homedir()) {
+    const failures = [];
+
+    for (const spec of specs) {
+      try {
+        const resolved = this.resolvePlugin(spec, baseDir);
+        if (this.loadedPlugins.has(resolved)) continue;
+
+        const exported = require(resolved);
+        this.register(this.definePlugin(exported.default || exported, spec));
+        this.loadedPlugins.set(resolved, (exported.default || exported).name);
+      } catch (error) {
+        failures.push({ spec, error: error.message.split('\n')[0] });
+      }
+    }
+
+    return failures;
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * @returns {Object[]} Provider definitions, built-in ones first
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Check a configuration against a provider's schema
+   * @returns {Object} zod safeParse result
+   */
+  validateConfig(name, config) {
+    return this.lookup(name).configSchema.safeParse(config);
+  }
+
+  /**
+   * A bare analyzer for a provider; its analyzeImage throws on failure
+   */
+  create(name, config) {
+    return this.lookup(name).create(config);
+  }
+
+  getModelName(name, config) {
+    return this.lookup(name).getModelName(config);
+  }
+
+  lookup(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+    return provider;
+  }
+}
+
+module.exports = new ProviderRegistry();
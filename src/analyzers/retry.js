@@ -0,0 +1,186 @@
+const logger = require('../logger');
+const { createFallbackAnalysis } = require('../analysis-schema');
+const providerHealth = require('./provider-health');
+
+/**
+ * Shared retry layer for every analyzer. Analyzers throw on failure;
+ * RetryingAnalyzer retries the errors worth retrying with exponential
+ * backoff and jitter (maxRetries, retryDelay), honours Retry-After and
+ * Gemini's RetryInfo, and falls back to a timestamp name only once every
+ * attempt has failed. Outcomes feed the provider's circuit breaker; while
+ * the circuit is open the provider isn't asked at all. A provider that
+ * can't be reached gets no fallback name either: the analysis comes back
+ * marked `unavailable` so the file can wait until it is back.
+ */
+
+// Gateway hiccups, overload and rate limits pass; bad requests and keys don't
+const RETRYABLE_STATUS = [408, 425, 429, 500, 502, 503, 504];
+
+// Dropped or slow connections; a refused connection means nothing is listening
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+// No connection could be made: refused, unresolvable or unroutable. A
+// connection that was made and then dropped or timed out is only retryable.
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'ENETDOWN', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const MAX_DELAY = 60 * 1000;
+
+/**
+ * HTTP status of an analyzer error, whichever client produced it
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+function getStatus(error) {
+  return error.status || error.status_code || error.statusCode;
+}
+
+/**
+ * Whether trying again might help
+ * @param {Error} error - Error thrown by an analyzer
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (!error) return false;
+  if (typeof error.retryable === 'boolean') return error.retryable;
+
+  const status = getStatus(error);
+  if (status) return RETRYABLE_STATUS.includes(Number(status));
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (code) return RETRYABLE_CODES.includes(code);
+
+  return error.name === 'AbortError' || /timed? ?out|socket hang up|network/i.test(error.message || '');
+}
+
+/**
+ * Whether the provider couldn't be reached at all, as when offline, rather
+ * than answering with an error or too slowly. Clients that keep no error
+ * code (Gemini's reports only "fetch failed") are judged by the message.
+ * @param {Error} error - Error thrown by an analyzer
+ * @returns {boolean}
+ */
+function isUnreachable(error) {
+  if (!error || getStatus(error)) return false;
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (code) return UNREACHABLE_CODES.includes(code);
+
+  return /fetch failed|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|EHOSTUNREACH|ENETUNREACH|ENETDOWN|Connect Timeout/i.test(error.message || '');
+}
+
+/**
+ * How long the server asked us to wait: a Retry-After header (seconds or
+ * an HTTP date) or a Gemini RetryInfo detail such as "30s"
+ * @param {Error} error
+ * @returns {number|null} Milliseconds, or null when the server didn't say
+ */
+function getRetryAfter(error) {
+  const retryInfo = Array.isArray(error.errorDetails)
+    && error.errorDetails.find(detail => detail && typeof detail.retryDelay === 'string');
+  const value = error.retryAfter !== undefined && error.retryAfter !== null
+    ? String(error.retryAfter)
+    : retryInfo && retryInfo.retryDelay;
+
+  if (!value) return null;
+
+  const seconds = /^\s*(\d+(?:\.\d+)?)s?\s*$/.exec(value);
+  if (seconds) return Math.round(Number(seconds[1]) * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the given retry: retryDelay doubled each time, with up to
+ * half of it randomised so simultaneous failures don't retry in lockstep
+ * @param {number} attempt - 1 for the first retry
+ * @param {number} baseDelay - retryDelay in milliseconds
+ * @param {number|null} retryAfter - Server-requested delay, which takes precedence
+ * @returns {number} Milliseconds
+ */
+function getBackoffDelay(attempt, baseDelay, retryAfter = null) {
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, MAX_DELAY);
+  }
+  const exponential = Math.min(baseDelay * 2 ** (attempt - 1), MAX_DELAY);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Wraps an analyzer so analyzeImage retries transient failures. The wrapped
+ * analyzer stays reachable as `analyzer` for provider-specific methods.
+ */
+class RetryingAnalyzer {
+  /**
+   * @param {Object} analyzer - Gemini, LM Studio or Ollama analyzer
+   * @param {Object} config - Configuration (aiProvider, maxRetries, retryDelay, circuit breaker settings)
+   */
+  constructor(analyzer, config = {}) {
+    this.analyzer = analyzer;
+    this.config = config;
+    this.provider = config.aiProvider || 'gemini';
+    this.maxRetries = config.maxRetries === undefined ? 3 : config.maxRetries;
+    this.retryDelay = config.retryDelay || 5000;
+  }
+
+  testConnection() {
+    return this.analyzer.testConnection();
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Analyze an image, retrying transient failures
+   * @param {string} imagePath - Image to name
+   * @param {Object} options - Passed to the analyzer
+   * @returns {Promise<Object>} Analysis, or a fallback analysis once retries run
+   *   out; marked `unavailable` when the provider can't be reached or its circuit is open
+   */
+  async analyzeImage(imagePath, options = {}) {
+    if (!providerHealth.isAvailable(this.provider, this.config)) {
+      logger.debug(`${this.provider} circuit is open, not asking it`, { file: imagePath });
+      return { ...createFallbackAnalysis(imagePath), unavailable: true };
+    }
+
+    const attempts = this.maxRetries + 1;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const analysis = await this.analyzer.analyzeImage(imagePath, options);
+        providerHealth.recordSuccess(this.provider);
+        if (attempt > 1) {
+          logger.info(`${this.provider} analysis succeeded on attempt ${attempt}/${attempts}`);
+        }
+        return analysis;
+      } catch (error) {
+        const retryable = isRetryable(error);
+        const meta = { provider: this.provider, attempt, attempts, status: getStatus(error), retryable };
+
+        if (!retryable || attempt === attempts) {
+          const unreachable = isUnreachable(error);
+          logger.error(`${this.provider} analysis failed on attempt ${attempt}/${attempts}, ${unreachable ? 'provider unreachable' : 'using fallback name'}`, error, meta);
+          providerHealth.recordFailure(this.provider, error, this.config);
+          return unreachable
+            ? { ...createFallbackAnalysis(imagePath), unavailable: true }
+            : createFallbackAnalysis(imagePath);
+        }
+
+        const wait = getBackoffDelay(attempt, this.retryDelay, getRetryAfter(error));
+        logger.warn(`${this.provider} analysis failed on attempt ${attempt}/${attempts}, retrying in ${(wait / 1000).toFixed(1)}s: ${error.message}`, meta);
+        await this.delay(wait);
+      }
+    }
+
+    return createFallbackAnalysis(imagePath);
+  }
+}
+
+module.exports = {
+  RetryingAnalyzer,
+  isRetryable,
+  isUnreachable,
+  getRetryAfter,
+  getBackoffDelay
+};
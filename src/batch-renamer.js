@@ -0,0 +1,191 @@
+const path = require('path');
+const chalk = require('chalk');
+const config = require('./config');
+const logger = require('./logger');
+const RenamePipeline = require('./rename-pipeline');
+const RenamePlan = require('./rename-plan');
+const { expandPaths } = require('./utils/path-helpers');
+
+/**
+ * One-shot renaming of existing files, folders and globs
+ * without starting the watcher
+ */
+class BatchRenamer {
+  constructor() {
+    this.pipeline = new RenamePipeline();
+  }
+
+  /**
+   * Configuration for a file: its watch profile if it lives in a
+   * watched folder, otherwise the top-level settings
+   */
+  getConfigForFile(filePath, currentConfig, profiles) {
+    const profile = config.getProfileForFile(filePath, profiles);
+    return profile ? profile.config : currentConfig;
+  }
+
+  /**
+   * Rename every image matched by the given inputs
+   * @param {string[]} inputs - Files, folders or glob patterns
+   * @param {Object} options
+   * @param {boolean} options.recursive - Descend into subfolders
+   * @param {boolean} options.force - Include images that were processed before
+   * @param {boolean} options.clipboard - Copy each renamed image to the clipboard
+   * @param {boolean} options.dryRun - Only plan the renames
+   * @param {string} options.planPath - Export the plan as JSON to this file
+   * @returns {Promise<Object>} Summary with renamed, planned, review, deferred, skipped and failed results
+   */
+  async run(inputs, options = {}) {
+    const currentConfig = config.load();
+    const profiles = config.getWatchProfiles(currentConfig);
+    const summary = { renamed: [], planned: [], review: [], deferred: [], skipped: [], failed: [] };
+    const plan = new RenamePlan();
+    const reservedPaths = new Set();
+
+    const { files, missing } = await expandPaths(inputs, { recursive: options.recursive });
+    missing.forEach(input => {
+      console.log(chalk.yellow(`⚠️  Nothing found for: ${input}`));
+    });
+
+    const images = files.filter(file => this.pipeline.isImageFile(file));
+    if (images.length === 0) {
+      console.log('No images to rename.');
+      return summary;
+    }
+
+    console.log(options.dryRun
+      ? `Planning renames for ${images.length} image(s) (dry run, no files will change)...\n`
+      : `Renaming ${images.length} image(s)...\n`);
+
+    for (let i = 0; i < images.length; i++) {
+      const filePath = images[i];
+      const progress = chalk.gray(`[${i + 1}/${images.length}]`);
+      const fileConfig = this.getConfigForFile(filePath, currentConfig, profiles);
+
+      if (!options.force && await this.pipeline.isAlreadyProcessed(filePath, fileConfig)) {
+        const result = { filePath, status: 'skipped', reason: 'Already processed' };
+        summary.skipped.push(result);
+        this.printResult(progress, result);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await this.pipeline.processFile(filePath, fileConfig, {
+          copyToClipboard: Boolean(options.clipboard),
+          dryRun: Boolean(options.dryRun),
+          reservedPaths
+        });
+      } catch (error) {
+        logger.error(`Error processing file ${filePath}`, error);
+        result = { filePath, status: 'failed', error: error.message };
+      }
+
+      if (result.status === 'planned') {
+        plan.add(result);
+      }
+      summary[result.status].push(result);
+      this.printResult(progress, result);
+    }
+
+    if (options.planPath) {
+      try {
+        plan.save(options.planPath);
+        console.log(`\n📝 Plan written to ${options.planPath}`);
+      } catch (error) {
+        console.log(chalk.red(`\n✗ Could not write plan: ${error.message}`));
+        summary.failed.push({ filePath: options.planPath, status: 'failed', error: error.message });
+        process.exitCode = 1;
+      }
+    }
+
+    this.printSummary(summary);
+    return summary;
+  }
+
+  /**
+   * Carry out a plan exported by a dry run
+   * @param {string} planPath - Plan JSON file
+   * @returns {Promise<Object>} Summary with renamed, skipped and failed results
+   */
+  async applyPlan(planPath) {
+    let plan;
+    try {
+      plan = RenamePlan.load(planPath);
+    } catch (error) {
+      console.log(chalk.red(`✗ Could not read plan: ${error.message}`));
+      return { renamed: [], skipped: [], failed: [{ filePath: planPath, error: error.message }] };
+    }
+
+    console.log(`Applying ${plan.entries.length} planned rename(s) from ${planPath}...\n`);
+
+    const currentConfig = config.load();
+    const profiles = config.getWatchProfiles(currentConfig);
+    let index = 0;
+    const summary = await plan.apply(result => {
+      index++;
+      this.printResult(chalk.gray(`[${index}/${plan.entries.length}]`), result);
+    }, this.pipeline.journal, (newPath, oldPath) => {
+      const fileConfig = this.getConfigForFile(oldPath, currentConfig, profiles);
+      return this.pipeline.markProcessed(newPath, fileConfig, path.basename(oldPath));
+    });
+
+    this.printSummary(summary);
+    return summary;
+  }
+
+  printResult(progress, result) {
+    const fileName = path.basename(result.filePath);
+    const newName = result.newFilePath && path.relative(path.dirname(result.filePath), result.newFilePath);
+    // Provider chains say which provider came up with the name
+    const via = result.analysis && result.analysis.provider ? chalk.gray(` via ${result.analysis.provider}`) : '';
+
+    if (result.status === 'renamed') {
+      console.log(`${progress} ${chalk.green('✓')} ${fileName} → ${newName}${via}`);
+    } else if (result.status === 'planned') {
+      console.log(`${progress} ${chalk.cyan('plan')} ${fileName} → ${newName}${via}`);
+    } else if (result.status === 'review') {
+      const suggested = path.basename(result.suggestedPath);
+      console.log(`${progress} ${chalk.magenta('review')} ${fileName} ${chalk.gray(`(${result.reason.toLowerCase()}, suggested ${suggested})`)}`);
+    } else if (result.status === 'deferred') {
+      console.log(`${progress} ${chalk.yellow('wait')} ${fileName} ${chalk.gray(`(${result.reason.toLowerCase()}, name left as is)`)}`);
+    } else if (result.status === 'skipped') {
+      console.log(`${progress} ${chalk.gray('skip')} ${fileName} ${chalk.gray(`(${result.reason.toLowerCase()})`)}`);
+    } else {
+      console.log(`${progress} ${chalk.red('✗')} ${fileName} ${chalk.red(result.error)}`);
+    }
+  }
+
+  printSummary(summary) {
+    const planned = summary.planned && summary.planned.length > 0
+      ? `\n    ${chalk.yellow('Planned:')} ${summary.planned.length}`
+      : '';
+    const review = summary.review && summary.review.length > 0
+      ? `\n    ${chalk.yellow('For review:')} ${summary.review.length}`
+      : '';
+    const deferred = summary.deferred && summary.deferred.length > 0
+      ? `\n    ${chalk.yellow('Waiting for a provider:')} ${summary.deferred.length}`
+      : '';
+
+    console.log(chalk.blue(`
+    ${chalk.bold('Summary')}
+    ──────────────────
+    ${chalk.yellow('Renamed:')} ${summary.renamed.length}${planned}${review}${deferred}
+    ${chalk.yellow('Skipped:')} ${summary.skipped.length}
+    ${chalk.yellow('Failed:')} ${summary.failed.length}
+    `));
+
+    summary.failed.forEach(result => {
+      console.log(`  ${chalk.red('✗')} ${result.filePath}: ${result.error}`);
+    });
+
+    if (review) {
+      console.log(chalk.gray('  Run "screenshot-renamer review" to settle names held for review.'));
+    }
+    if (deferred) {
+      console.log(chalk.gray('  No provider could be reached, so these images kept their names. Run the command again once one is back.'));
+    }
+  }
+}
+
+module.exports = BatchRenamer;
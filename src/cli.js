@@ -1,9 +1,15 @@
 #!/usr/bin/env node
 
 const { program } = require('commander');
+const fs = require('fs');
+const path = require('path');
 const config = require('./config');
 const ScreenshotRenamer = require('./index');
 const Setup = require('./setup');
+const logger = require('./logger');
+const { validateTemplate } = require('./filename-template');
+const { NAMING_STYLES } = require('./naming-style');
+const PromptBuilder = require('./prompt-builder');
 
 program
   .name('screenshot-renamer')
@@ -14,12 +20,191 @@ program
   .command('start')
   .description('Initiate the image renaming service.')
   .option('-d, --dev', 'Operate in development mode, providing detailed observations.')
+  .option('--catch-up', 'Rename images added while the service was stopped.')
+  .option('--dry-run', 'Plan renames without touching any files.')
+  .option('--plan <file>', 'Write the dry-run plan to this JSON file.')
+  .option('--confirm', 'Ask before renaming each new image, offering alternative names.')
   .action(async (options) => {
     const renamer = new ScreenshotRenamer();
     if (options.dev) {
       console.log('Operating in development mode...');
     }
-    await renamer.start();
+    await renamer.start({
+      catchUp: options.catchUp,
+      dryRun: options.dryRun,
+      planPath: options.plan && path.resolve(options.plan),
+      confirm: options.confirm
+    });
+  });
+
+program
+  .command('rename <paths...>')
+  .description('Rename existing images once, then exit. Accepts files, folders and globs.')
+  .option('-r, --recursive', 'Include images in subfolders.')
+  .option('-f, --force', 'Also rename images that were processed before.')
+  .option('--clipboard', 'Copy each renamed image to the clipboard.')
+  .option('-n, --dry-run', 'Show the planned renames without touching any files.')
+  .option('--plan <file>', 'Write the planned renames to this JSON file (implies --dry-run).')
+  .option('-v, --verbose', 'Show detailed analysis logs.')
+  .action(async (paths, options) => {
+    const BatchRenamer = require('./batch-renamer');
+    if (!options.verbose) {
+      logger.setLevel('warn');
+    }
+
+    const summary = await new BatchRenamer().run(paths, {
+      ...options,
+      dryRun: options.dryRun || Boolean(options.plan),
+      planPath: options.plan && path.resolve(options.plan)
+    });
+    process.exitCode = summary.failed.length > 0 ? 1 : 0;
+  });
+
+program
+  .command('apply <plan>')
+  .description('Carry out the renames in a plan written by --plan.')
+  .option('-v, --verbose', 'Show detailed logs.')
+  .action(async (planFile, options) => {
+    const BatchRenamer = require('./batch-renamer');
+    if (!options.verbose) {
+      logger.setLevel('warn');
+    }
+
+    const summary = await new BatchRenamer().applyPlan(path.resolve(planFile));
+    process.exitCode = summary.failed.length > 0 ? 1 : 0;
+  });
+
+program
+  .command('undo [file]')
+  .description('Restore original names from the rename journal. Defaults to the most recent rename.')
+  .option('-l, --last <n>', 'Undo the N most recent renames.', (value) => parseInt(value, 10))
+  .option('-s, --since <time>', 'Undo renames since a time (ISO date, or a duration such as 2h or 7d).')
+  .action(async (file, options) => {
+    const chalk = require('chalk');
+    const RenameJournal = require('./rename-journal');
+    const ProcessedIndex = require('./processed-index');
+    logger.setLevel('warn');
+
+    const journal = new RenameJournal();
+    let entries;
+    try {
+      entries = journal.select({ file, last: options.last, since: options.since });
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (entries.length === 0) {
+      console.log(file ? `No journalled rename produced ${file}.` : 'Nothing to undo.');
+      return;
+    }
+
+    const processedIndex = new ProcessedIndex();
+    const summary = await journal.undo(entries, (filePath) => processedIndex.unmarkProcessed(filePath));
+    summary.restored.forEach(({ entry }) => {
+      console.log(`${chalk.green('✓')} ${path.basename(entry.to)} → ${path.basename(entry.from)}`);
+      if (entry.alternatives) {
+        console.log(chalk.gray(`  also considered: ${entry.alternatives.join(', ')}`));
+      }
+    });
+    summary.skipped.forEach(({ entry, reason }) => {
+      console.log(`${chalk.gray('skip')} ${path.basename(entry.to)} ${chalk.gray(`(${reason.toLowerCase()})`)}`);
+    });
+    summary.failed.forEach(({ entry, error }) => {
+      console.log(`${chalk.red('✗')} ${path.basename(entry.to)} ${chalk.red(error)}`);
+    });
+
+    console.log(`\nRestored ${summary.restored.length}, skipped ${summary.skipped.length}, failed ${summary.failed.length}.`);
+    process.exitCode = summary.failed.length > 0 ? 1 : 0;
+  });
+
+program
+  .command('review')
+  .description('Settle images held back for review, one by one in the terminal, or with the options below.')
+  .option('-l, --list', 'List pending reviews instead of going through them.')
+  .option('-a, --accept <ids...>', 'Use the suggested names; "all" accepts every pending review.')
+  .option('-r, --rename <id>', 'Give an image a name of your own, set with --to.')
+  .option('--to <name>', 'The new name for --rename.')
+  .option('-d, --dismiss <ids...>', 'Keep the original names; "all" dismisses every pending review.')
+  .action(async (options) => {
+    const chalk = require('chalk');
+    const RenamePipeline = require('./rename-pipeline');
+    logger.setLevel('warn');
+
+    const pipeline = new RenamePipeline();
+    const currentConfig = config.load();
+    const profiles = config.getWatchProfiles(currentConfig);
+    const pending = pipeline.reviews.getPending();
+
+    const shortId = (review) => review.id.slice(0, 8);
+    const select = (ids) => (ids.includes('all') ? pending : ids.map(id => {
+      const review = pipeline.reviews.findPending(id);
+      if (!review) {
+        throw new Error(`No pending review with id ${id}`);
+      }
+      return review;
+    }));
+
+    let actions;
+    try {
+      if (options.rename && !options.to) {
+        throw new Error('--rename needs the new name in --to');
+      }
+      actions = [
+        ...(options.accept ? select(options.accept).map(review => [review, 'accept']) : []),
+        ...(options.rename ? select([options.rename]).map(review => [review, 'rename', options.to]) : []),
+        ...(options.dismiss ? select(options.dismiss).map(review => [review, 'dismiss']) : [])
+      ];
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!options.accept && !options.rename && !options.dismiss) {
+      if (pending.length === 0) {
+        console.log('Nothing to review.');
+        return;
+      }
+
+      if (!options.list && process.stdin.isTTY) {
+        const InteractiveReview = require('./interactive-review');
+        const summary = await new InteractiveReview(pipeline).run(pending);
+        process.exitCode = summary.failed > 0 ? 1 : 0;
+        return;
+      }
+
+      console.log(chalk.bold(`${pending.length} image(s) awaiting review\n`));
+      pending.forEach(review => {
+        console.log(`${chalk.cyan(shortId(review))}  ${review.filePath}`);
+        console.log(`          suggested: ${chalk.green(path.basename(review.suggestedPath))}`);
+        console.log(chalk.gray(`          ${review.reason} · ${new Date(review.createdAt).toLocaleString()}`));
+      });
+      console.log(chalk.gray('\nSettle them with --accept <id>, --rename <id> --to <name> or --dismiss <id>.'));
+      return;
+    }
+
+    let failed = 0;
+    for (const [review, action, name] of actions) {
+      const profile = config.getProfileForFile(review.originalPath, profiles);
+      try {
+        const result = await pipeline.resolveReview(review, action, profile ? profile.config : currentConfig, name);
+        if (result.status === 'failed') {
+          failed++;
+          console.log(`${chalk.red('✗')} ${path.basename(review.filePath)} ${chalk.red(result.error)}`);
+        } else if (result.status === 'renamed') {
+          console.log(`${chalk.green('✓')} ${path.basename(review.filePath)} → ${path.basename(result.newFilePath)}`);
+        } else {
+          console.log(`${chalk.gray('keep')} ${path.basename(review.filePath)}`);
+        }
+      } catch (error) {
+        failed++;
+        console.log(`${chalk.red('✗')} ${path.basename(review.filePath)} ${chalk.red(error.message)}`);
+      }
+    }
+
+    process.exitCode = failed > 0 ? 1 : 0;
   });
 
 program
@@ -45,8 +230,23 @@ program
   .option('--api-key <key>', 'Set the Gemini API key.')
   .option('--clipboard <true|false>', 'Enable or disable clipboard integration.')
   .option('--notifications <true|false>', 'Enable or disable notifications.')
+  .option('--template <template>', 'Set the filename template, e.g. "{date:YYYY-MM-DD}_{desc}".')
+  .option('--style <style>', `Set the naming style: ${NAMING_STYLES.join(', ')}.`)
+  .option('--unicode <true|false>', 'Keep accented and non-Latin characters in filenames.')
+  .option('--structured <true|false>', 'Ask for JSON analyses with description, tags, category, app and confidence.')
+  .option('--language <language>', 'Set the language filenames are written in, e.g. German or Japanese.')
+  .option('--candidates <n>', 'Ask for this many candidate names (1-10) and keep the best.')
+  .option('--min-confidence <n>', 'Hold images for review when the analysis confidence (0-1) is below this; 0 turns it off.')
+  .option('--low-confidence <action>', 'What to do with unsure images: queue (keep the name) or marker (add _review).')
+  .option('--prompt-list', 'List the naming prompt templates.')
+  .option('--prompt-use <name>', 'Name images with this prompt template.')
+  .option('--prompt-edit <name>', 'Edit (or create) a prompt template in your editor.')
+  .option('--prompt-file <file>', 'With --prompt-edit, read the template from a file instead.')
+  .option('--prompt-var <name=value>', 'Set a prompt variable, e.g. glossary="Acme, Phoenix" (repeatable).', (value, previous) => previous.concat(value), [])
+  .option('--prompt-preview', 'Show the naming prompt as it will be sent.')
+  .option('--prompt-reset [name]', 'Restore a prompt template, or all prompt settings, to the defaults.')
   .option('--show', 'Display the current configuration.')
-  .action((options) => {
+  .action(async (options) => {
     if (options.show) {
       const currentConfig = config.load();
       console.log('Current Configuration:');
@@ -54,17 +254,133 @@ program
       return;
     }
 
+    const currentConfig = config.load();
+    const builder = new PromptBuilder(currentConfig);
+
+    if (options.promptList) {
+      const active = currentConfig.promptTemplate;
+      builder.getTemplateNames().forEach(name => {
+        const origin = builder.isCustomized(name) ? (builder.isBuiltIn(name) ? 'customized' : 'custom') : 'built-in';
+        console.log(`${name === active ? '▶' : ' '} ${name} (${origin})`);
+      });
+      return;
+    }
+
+    if (options.promptPreview) {
+      console.log(builder.build());
+      return;
+    }
+
     const updates = {};
     if (options.folder) updates.watchFolder = options.folder;
     if (options.apiKey) updates.geminiApiKey = options.apiKey;
     if (options.clipboard) updates.copyToClipboard = options.clipboard === 'true';
     if (options.notifications) updates.showNotifications = options.notifications === 'true';
+    if (options.template) {
+      const errors = validateTemplate(options.template);
+      if (errors.length > 0) {
+        errors.forEach(error => console.log(`✗ ${error}`));
+        process.exitCode = 1;
+        return;
+      }
+      updates.filenameTemplate = options.template;
+    }
+    if (options.style) {
+      if (!NAMING_STYLES.includes(options.style)) {
+        console.log(`✗ Unknown naming style "${options.style}". Choose one of: ${NAMING_STYLES.join(', ')}`);
+        process.exitCode = 1;
+        return;
+      }
+      updates.namingStyle = options.style;
+    }
+    if (options.unicode) updates.unicodeFilenames = options.unicode === 'true';
+    if (options.language) updates.outputLanguage = options.language.trim();
+    if (options.structured) updates.structuredAnalysis = options.structured === 'true';
+    if (options.candidates !== undefined) {
+      const candidateCount = Number(options.candidates);
+      if (!Number.isInteger(candidateCount) || candidateCount < 1 || candidateCount > 10) {
+        console.log('✗ Candidates must be a whole number from 1 to 10');
+        process.exitCode = 1;
+        return;
+      }
+      updates.candidateCount = candidateCount;
+    }
+    if (options.minConfidence !== undefined) {
+      const minConfidence = Number(options.minConfidence);
+      if (Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+        console.log('✗ Minimum confidence must be a number from 0 to 1');
+        process.exitCode = 1;
+        return;
+      }
+      updates.minConfidence = minConfidence;
+    }
+    if (options.lowConfidence) {
+      if (!['queue', 'marker'].includes(options.lowConfidence)) {
+        console.log(`✗ Unknown low-confidence action "${options.lowConfidence}". Choose queue or marker`);
+        process.exitCode = 1;
+        return;
+      }
+      updates.lowConfidenceAction = options.lowConfidence;
+    }
+
+    if (options.promptReset) {
+      Object.assign(updates, PromptBuilder.reset(currentConfig, options.promptReset === true ? undefined : options.promptReset));
+    }
+    if (options.promptEdit) {
+      let text;
+      if (options.promptFile) {
+        try {
+          text = fs.readFileSync(options.promptFile, 'utf8').trim();
+        } catch (error) {
+          console.log(`✗ Could not read prompt file: ${error.message}`);
+          process.exitCode = 1;
+          return;
+        }
+      } else {
+        text = await new Setup().editPromptTemplate(options.promptEdit, builder.getTemplate(options.promptEdit));
+      }
+      updates.promptTemplates = { ...currentConfig.promptTemplates, [options.promptEdit]: text };
+      updates.promptTemplate = options.promptEdit;
+    }
+    if (options.promptUse) updates.promptTemplate = options.promptUse;
+    if (options.promptVar.length > 0) {
+      const promptVariables = { ...currentConfig.promptVariables };
+      for (const assignment of options.promptVar) {
+        try {
+          const [name, value] = PromptBuilder.parseVariable(assignment);
+          if (value === undefined) {
+            delete promptVariables[name];
+          } else {
+            promptVariables[name] = value;
+          }
+        } catch (error) {
+          console.log(`✗ ${error.message}`);
+          process.exitCode = 1;
+          return;
+        }
+      }
+      updates.promptVariables = promptVariables;
+    }
+
+    const promptErrors = new PromptBuilder({ ...currentConfig, ...updates }).validate();
+    if (promptErrors.length > 0) {
+      promptErrors.forEach(error => console.log(`✗ ${error}`));
+      process.exitCode = 1;
+      return;
+    }
 
     if (Object.keys(updates).length === 0) {
       console.log('No configuration adjustments specified. Consult --help for available options.');
       return;
     }
 
+    const configErrors = config.getUpdateErrors(updates, currentConfig);
+    if (configErrors.length > 0) {
+      configErrors.forEach(error => console.log(`✗ ${error}`));
+      process.exitCode = 1;
+      return;
+    }
+
     const success = config.update(updates);
     if (success) {
       console.log('✓ Configuration updated successfully.');
@@ -85,9 +401,14 @@ program
       const currentConfig = config.load();
       const analyzer = AnalyzerFactory.createAnalyzer(currentConfig);
       
-      console.log(`Testing ${currentConfig.aiProvider || 'gemini'} connection...`);
+      console.log(`Testing ${config.getProviderChain(currentConfig).join(' → ')} connection...`);
       const apiTest = await analyzer.testConnection();
       console.log(`AI Companion: ${apiTest.success ? '✓ Operating' : '✗ ' + apiTest.error}`);
+      if (apiTest.results) {
+        apiTest.results.forEach(result => {
+          console.log(`  ${result.provider}: ${result.success ? '✓ Operating' : '✗ ' + result.error}`);
+        });
+      }
 
       console.log('Testing clipboard integration...');
       const clipboardTest = await clipboardManager.testClipboard();
@@ -3,6 +3,61 @@ const path = require('path');
 const os = require('os');
 const { execSync } = require('child_process');
 const { z } = require('zod');
+const { DEFAULT_TEMPLATE, validateTemplate } = require('./filename-template');
+const { validateDestination } = require('./destination-template');
+const { NAMING_STYLES, DEFAULT_STYLE } = require('./naming-style');
+const PromptBuilder = require('./prompt-builder');
+const providerRegistry = require('./analyzers/provider-registry');
+
+// A watched folder with its own profile. Any top-level setting (provider,
+// model, prompt, clipboard...) may be overridden per folder; the merged
+// result is validated against the full ConfigSchema.
+const WatchFolderSchema = z.object({
+  path: z.string()
+    .min(1, 'Watch folder path cannot be empty')
+    .refine(
+      (path) => fs.existsSync(path),
+      'Watch folder must exist'
+    ),
+  name: z.string()
+    .min(1, 'Profile name cannot be empty')
+    .optional()
+}).passthrough();
+
+// One provider, or an ordered chain tried in turn until one names the image.
+// Names are checked against the provider registry, which plugins extend.
+const ProviderNameSchema = z.string().min(1, 'Provider name cannot be empty');
+const AiProviderSchema = z.union([
+  ProviderNameSchema,
+  z.array(ProviderNameSchema).min(1, 'Provider chain cannot be empty')
+]);
+
+// A rule that moves renamed images into a destination folder. All conditions
+// in `match` must hold; an empty match catches everything.
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+const RuleSchema = z.object({
+  name: z.string()
+    .min(1, 'Rule name cannot be empty')
+    .optional(),
+  match: z.object({
+    name: z.string().min(1).optional(),
+    keywords: z.array(z.string().min(1)).min(1).optional(),
+    category: z.union([z.string().min(1), z.array(z.string().min(1))]).optional(),
+    sourceFolder: z.string().min(1).optional(),
+    minWidth: z.number().int().positive().optional(),
+    maxWidth: z.number().int().positive().optional(),
+    minHeight: z.number().int().positive().optional(),
+    maxHeight: z.number().int().positive().optional(),
+    after: z.string().refine(isValidDate, 'Invalid date').optional(),
+    before: z.string().refine(isValidDate, 'Invalid date').optional()
+  }).strict()
+    .default({}),
+  destination: z.string()
+    .min(1, 'Rule destination cannot be empty')
+    .superRefine((destination, ctx) => {
+      validateDestination(destination).forEach(message => ctx.addIssue({ code: z.ZodIssueCode.custom, message }));
+    })
+});
 
 // Define base configuration schema
 const BaseConfigSchema = z.object({
@@ -28,60 +83,166 @@ const BaseConfigSchema = z.object({
     .min(1000)
     .max(30000)
     .default(5000),
-  aiProvider: z.enum(['gemini', 'lmstudio', 'ollama'])
-    .default('gemini')
+  circuitBreakerThreshold: z.number()
+    .int()
+    .min(1)
+    .max(20)
+    .default(3),
+  circuitBreakerCooldown: z.number()
+    .int()
+    .min(5000)
+    .max(60 * 60 * 1000)
+    .default(60000),
+  healthProbeInterval: z.number()
+    .int()
+    .refine(
+      (ms) => ms === 0 || (ms >= 5000 && ms <= 60 * 60 * 1000),
+      'Health probe interval must be 0 (off) or between 5 seconds and an hour'
+    )
+    .default(30000),
+  aiProvider: AiProviderSchema
+    .default('gemini'),
+  providerPlugins: z.array(z.string().min(1, 'Plugin path cannot be empty'))
+    .default([]),
+  prompt: z.string()
+    .min(1, 'Prompt cannot be empty')
+    .optional(),
+  promptTemplate: z.string()
+    .min(1, 'Prompt template name cannot be empty')
+    .default(PromptBuilder.DEFAULT_TEMPLATE_NAME),
+  promptTemplates: z.record(z.string().min(1, 'Prompt template cannot be empty'))
+    .default({}),
+  promptVariables: z.object({
+    maxLength: z.number().int().min(10).max(200).optional(),
+    examples: z.array(z.string().min(1)).optional(),
+    glossary: z.array(z.string().min(1)).optional()
+  }).catchall(z.union([z.string(), z.number(), z.array(z.string())]))
+    .default({}),
+  filenameTemplate: z.string()
+    .min(1, 'Filename template cannot be empty')
+    .superRefine((template, ctx) => {
+      validateTemplate(template).forEach(message => ctx.addIssue({ code: z.ZodIssueCode.custom, message }));
+    })
+    .default(DEFAULT_TEMPLATE),
+  structuredAnalysis: z.boolean()
+    .default(false),
+  namingStyle: z.enum(NAMING_STYLES)
+    .default(DEFAULT_STYLE),
+  unicodeFilenames: z.boolean()
+    .default(false),
+  outputLanguage: z.string()
+    .trim()
+    .min(1, 'Output language cannot be empty')
+    .max(40, 'Output language should be a language name, such as German')
+    .default('English'),
+  candidateCount: z.number()
+    .int()
+    .min(1)
+    .max(10)
+    .default(1),
+  nameDenyList: z.array(z.string().min(1))
+    .default([]),
+  nameMinWords: z.number()
+    .int()
+    .min(1)
+    .max(5)
+    .default(2),
+  nameRetries: z.number()
+    .int()
+    .min(0)
+    .max(3)
+    .default(1),
+  minConfidence: z.number()
+    .min(0)
+    .max(1)
+    .default(0),
+  lowConfidenceAction: z.enum(['queue', 'marker'])
+    .default('queue'),
+  dryRun: z.boolean()
+    .default(false),
+  processedXattr: z.boolean()
+    .default(false),
+  duplicateDetection: z.enum(['off', 'skip', 'move', 'series'])
+    .default('off'),
+  duplicateThreshold: z.number()
+    .int()
+    .min(0)
+    .max(32)
+    .default(6),
+  duplicateWindowMinutes: z.number()
+    .int()
+    .min(1)
+    .max(7 * 24 * 60)
+    .default(60),
+  duplicateFolder: z.string()
+    .min(1, 'Duplicate folder cannot be empty')
+    .default('duplicates'),
+  analysisCacheEnabled: z.boolean()
+    .default(true),
+  analysisCacheMaxEntries: z.number()
+    .int()
+    .min(1)
+    .max(100000)
+    .default(1000),
+  analysisCacheTtlDays: z.number()
+    .min(1)
+    .max(3650)
+    .default(30),
+  catchUpOnStart: z.boolean()
+    .default(false),
+  catchUpMaxAgeHours: z.number()
+    .min(1)
+    .max(24 * 365)
+    .default(24),
+  catchUpMaxFiles: z.number()
+    .int()
+    .min(1)
+    .max(1000)
+    .default(50),
+  rules: z.array(RuleSchema)
+    .default([]),
+  watchFolders: z.array(WatchFolderSchema)
+    .default([])
+}).superRefine((config, ctx) => {
+  new PromptBuilder(config).validate().forEach(message => {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['promptTemplate'], message });
+  });
 });
 
-// Define configuration schema with conditional validation
-const ConfigSchema = BaseConfigSchema.and(
-  z.discriminatedUnion('aiProvider', [
-    z.object({
-      aiProvider: z.literal('gemini'),
-      geminiApiKey: z.string()
-        .min(1, 'Gemini API key is required')
-        .regex(/^AIza[A-Za-z0-9_-]{35}$/, 'Invalid Gemini API key format'),
-      geminiModel: z.string()
-        .default('gemini-2.0-flash-exp'),
-      // Optional LM Studio fields for gemini provider
-      lmstudioBaseUrl: z.string().optional(),
-      lmstudioModel: z.string().optional()
-    }),
-    z.object({
-      aiProvider: z.literal('lmstudio'),
-      lmstudioBaseUrl: z.string()
-        .url('Invalid LM Studio base URL')
-        .default('http://localhost:1234'),
-      lmstudioModel: z.string()
-        .min(1, 'LM Studio model name is required')
-        .default('google/gemma-3-4b'),
-      lmstudioMaxTokens: z.number()
-        .int()
-        .min(10)
-        .max(200)
-        .default(50),
-      lmstudioTemperature: z.number()
-        .min(0)
-        .max(1)
-        .default(0.1),
-      // Optional Gemini fields for lmstudio provider
-      geminiApiKey: z.string().optional(),
-      geminiModel: z.string().optional()
-    }),
-    z.object({
-      aiProvider: z.literal('ollama'),
-      ollamaBaseUrl: z.string()
-        .url('Invalid Ollama base URL')
-        .default('http://localhost:11434'),
-      ollamaModel: z.string()
-        .min(1, 'Ollama model name is required')
-        .default('gemma3:4b')
-    })
-  ])
-);
+// Define configuration schema with conditional validation: every provider
+// in the chain must exist and have the settings its schema asks for.
+// Provider settings (plugins' included) aren't base keys and are stripped
+// from the parsed config, so they are checked against the raw one.
+const ConfigSchema = z.unknown().transform((raw, ctx) => {
+  const parsed = BaseConfigSchema.safeParse(raw);
+  if (!parsed.success) {
+    parsed.error.errors.forEach(issue => ctx.addIssue(issue));
+    return z.NEVER;
+  }
+
+  const config = { ...raw, ...parsed.data };
+  [...new Set([].concat(config.aiProvider))].forEach(provider => {
+    if (!providerRegistry.has(provider)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['aiProvider'],
+        message: `Unknown AI provider "${provider}" (available: ${providerRegistry.getNames().join(', ')})`
+      });
+      return;
+    }
+    const result = providerRegistry.validateConfig(provider, config);
+    if (!result.success) {
+      result.error.errors.forEach(issue => ctx.addIssue(issue));
+    }
+  });
+
+  return parsed.data;
+});
 
 class Config {
   constructor() {
     this.configPath = path.join(os.homedir(), '.screenshot-renamer-config.json');
+    this.stateDir = path.join(os.homedir(), '.screenshot-renamer');
     this.schema = ConfigSchema;
     this.defaultConfig = {
       watchFolder: this.getDefaultScreenshotPath(),
@@ -92,12 +253,50 @@ class Config {
       geminiModel: 'gemini-2.5-flash-lite-preview-06-17',
       maxRetries: 3,
       retryDelay: 5000,
+      circuitBreakerThreshold: 3,
+      circuitBreakerCooldown: 60000,
+      healthProbeInterval: 30000,
       lmstudioBaseUrl: 'http://localhost:1234',
       lmstudioModel: 'google/gemma-3-4b',
       lmstudioMaxTokens: 50,
       lmstudioTemperature: 0.1,
       aiProvider: 'lmstudio',
-      ollamaModel: 'gemma3:4b'
+      providerPlugins: [],
+      ollamaModel: 'gemma3:4b',
+      openaiBaseUrl: 'http://localhost:8080/v1',
+      openaiModel: '',
+      openaiApiKey: '',
+      openaiHeaders: {},
+      openaiRequestOptions: {},
+      openaiTimeout: 60000,
+      promptTemplate: PromptBuilder.DEFAULT_TEMPLATE_NAME,
+      promptTemplates: {},
+      promptVariables: {},
+      filenameTemplate: DEFAULT_TEMPLATE,
+      structuredAnalysis: false,
+      namingStyle: DEFAULT_STYLE,
+      unicodeFilenames: false,
+      outputLanguage: 'English',
+      candidateCount: 1,
+      nameDenyList: [],
+      nameMinWords: 2,
+      nameRetries: 1,
+      minConfidence: 0,
+      lowConfidenceAction: 'queue',
+      dryRun: false,
+      processedXattr: false,
+      duplicateDetection: 'off',
+      duplicateThreshold: 6,
+      duplicateWindowMinutes: 60,
+      duplicateFolder: 'duplicates',
+      analysisCacheEnabled: true,
+      analysisCacheMaxEntries: 1000,
+      analysisCacheTtlDays: 30,
+      catchUpOnStart: false,
+      catchUpMaxAgeHours: 24,
+      catchUpMaxFiles: 50,
+      rules: [],
+      watchFolders: []
     };
   }
 
@@ -115,11 +314,28 @@ class Config {
     return path.join(os.homedir(), 'Desktop');
   }
 
+  /**
+   * Path of a runtime state file (queue, journal...), creating the state directory if needed
+   * @param {string} fileName - File name within the state directory
+   * @returns {string} Absolute path
+   */
+  getStatePath(fileName) {
+    try {
+      fs.mkdirSync(this.stateDir, { recursive: true, mode: 0o700 });
+    } catch (error) {
+      // Reported by whichever caller fails to read or write the file
+    }
+    return path.join(this.stateDir, fileName);
+  }
+
   load() {
     try {
       if (fs.existsSync(this.configPath)) {
         const configData = fs.readFileSync(this.configPath, 'utf8');
-        return { ...this.defaultConfig, ...JSON.parse(configData) };
+        const config = { ...this.defaultConfig, ...JSON.parse(configData) };
+        this.loadProviderPlugins(config);
+        this.getWatchProfiles(config).forEach(profile => this.loadProviderPlugins(profile.config));
+        return config;
       }
     } catch (error) {
       // Note: logger not available during config loading, using console
@@ -128,6 +344,19 @@ class Config {
     return { ...this.defaultConfig };
   }
 
+  /**
+   * Register the provider plugins a configuration lists, so their names
+   * are known to validation and the analyzer factory. Relative paths start
+   * from the configuration file's folder.
+   * @param {Object} config - Configuration (providerPlugins)
+   * @returns {string[]} Errors for plugins that could not be loaded
+   */
+  loadProviderPlugins(config) {
+    const specs = Array.isArray(config.providerPlugins) ? config.providerPlugins : [];
+    return providerRegistry.loadPlugins(specs, path.dirname(this.configPath))
+      .map(failure => `providerPlugins: Could not load "${failure.spec}": ${failure.error}`);
+  }
+
   save(config) {
     try {
       fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
@@ -138,6 +367,19 @@ class Config {
     }
   }
 
+  /**
+   * Problems a change would bring to the configuration. Problems it already
+   * has (a watch folder that has gone, say) don't count, so they can still
+   * be fixed one setting at a time.
+   * @param {Object} updates - Settings to change
+   * @param {Object} current - Configuration as it is
+   * @returns {string[]} Validation errors the change introduces
+   */
+  getUpdateErrors(updates, current = this.load()) {
+    const existing = new Set(this.validate(current).errors);
+    return this.validate({ ...current, ...updates }).errors.filter(error => !existing.has(error));
+  }
+
   update(updates) {
     const current = this.load();
     const updated = { ...current, ...updates };
@@ -149,20 +391,101 @@ class Config {
     return key ? config[key] : config;
   }
 
+  /**
+   * The providers to try, in order. `aiProvider` may name one provider or
+   * a chain such as ["lmstudio", "ollama", "gemini"].
+   * @param {Object} config - Loaded configuration
+   * @returns {string[]} Provider names without duplicates
+   */
+  getProviderChain(config = this.load()) {
+    return [...new Set([].concat(config.aiProvider || 'gemini'))];
+  }
+
+  /**
+   * Resolve the folders to watch, each with its fully merged configuration.
+   * Without `watchFolders` the single `watchFolder` is used as the only profile.
+   * @param {Object} config - Loaded configuration
+   * @returns {Array<{name: string, path: string, config: Object}>}
+   */
+  getWatchProfiles(config = this.load()) {
+    const entries = Array.isArray(config.watchFolders) ? config.watchFolders : [];
+
+    if (entries.length === 0) {
+      return [{ name: 'default', path: config.watchFolder, config }];
+    }
+
+    return entries.map((entry, index) => {
+      const { path: folderPath, name, ...overrides } = entry;
+      return {
+        name: name || path.basename(folderPath || '') || `folder_${index + 1}`,
+        path: folderPath,
+        config: { ...config, ...overrides, watchFolder: folderPath, watchFolders: [] }
+      };
+    });
+  }
+
+  /**
+   * Find the profile owning a file; the deepest matching folder wins so
+   * nested watch folders keep their own settings.
+   * @param {string} filePath - File inside a watched folder
+   * @param {Array} profiles - Profiles from getWatchProfiles()
+   * @returns {Object|null} Matching profile
+   */
+  getProfileForFile(filePath, profiles = this.getWatchProfiles()) {
+    const resolved = path.resolve(filePath);
+    let match = null;
+
+    for (const profile of profiles) {
+      if (!profile.path) continue;
+      const folder = path.resolve(profile.path);
+      if (resolved.startsWith(folder + path.sep) &&
+          (!match || folder.length > path.resolve(match.path).length)) {
+        match = profile;
+      }
+    }
+
+    return match;
+  }
+
   validate(config) {
+    const pluginErrors = this.loadProviderPlugins(config);
+
     try {
       this.schema.parse(config);
-      return { valid: true, errors: [] };
     } catch (error) {
-      if (error instanceof z.ZodError) {
-        const errors = error.errors.map(err => {
-          const field = err.path.join('.');
-          return `${field}: ${err.message}`;
-        });
-        return { valid: false, errors };
+      const result = this.formatValidationError(error);
+      return { valid: false, errors: [...pluginErrors, ...result.errors] };
+    }
+
+    if (pluginErrors.length > 0) {
+      return { valid: false, errors: pluginErrors };
+    }
+
+    // Each folder profile must also be a valid configuration on its own
+    const errors = [];
+    this.getWatchProfiles(config).forEach((profile, index) => {
+      if (profile.config === config) return;
+      errors.push(...this.loadProviderPlugins(profile.config).map(err => `watchFolders.${index}.${err}`));
+      try {
+        this.schema.parse(profile.config);
+      } catch (error) {
+        const result = this.formatValidationError(error);
+        errors.push(...result.errors.map(err => `watchFolders.${index}.${err}`));
       }
-      return { valid: false, errors: ['Unknown validation error'] };
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  formatValidationError(error) {
+    if (error instanceof z.ZodError) {
+      const errors = error.errors.map(err => {
+        const field = err.path.join('.');
+        return `${field}: ${err.message}`;
+      });
+      return { valid: false, errors };
     }
+    return { valid: false, errors: ['Unknown validation error'] };
   }
 
   validatePartial(updates) {
@@ -0,0 +1,43 @@
+/**
+ * Rule destinations such as "~/Screenshots/{year}-{month}" or "by-kind/{category}".
+ * Tokens:
+ *
+ *   {year} {month} {day}  image date, month and day zero-padded
+ *   {category}            category from the analysis
+ *
+ * Kept apart from the rules engine so the configuration schema can check
+ * destinations without loading it.
+ */
+
+const DESTINATION_TOKENS = ['year', 'month', 'day', 'category'];
+
+/**
+ * Check a destination's tokens
+ * @param {string} destination - Destination from a rule
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateDestination(destination) {
+  const errors = [];
+  for (const [, token] of destination.matchAll(/\{([^{}]*)\}/g)) {
+    if (!DESTINATION_TOKENS.includes(token)) {
+      errors.push(`Unknown destination token {${token}}. Available: ${DESTINATION_TOKENS.map(name => `{${name}}`).join(', ')}`);
+    }
+  }
+  return [...new Set(errors)];
+}
+
+/**
+ * Fill in a destination's tokens; unknown ones are left as written
+ * @param {string} destination - Destination from a rule
+ * @param {Object} values - Token values keyed by token name
+ * @returns {string} Destination with tokens expanded
+ */
+function expandDestination(destination, values) {
+  return destination.replace(/\{(\w+)\}/g, (token, key) => (key in values ? String(values[key]) : token));
+}
+
+module.exports = {
+  DESTINATION_TOKENS,
+  validateDestination,
+  expandDestination
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { computeDHash, hammingDistance } = require('./perceptual-hash');
+
+/**
+ * Spots near-identical screenshots among recently processed files by
+ * comparing perceptual hashes
+ */
+class DuplicateDetector {
+  /**
+   * @param {string} storePath - Location of the recent-hashes file
+   * @param {Object} options
+   * @param {number} options.maxEntries - Most recent files remembered
+   */
+  constructor(storePath = config.getStatePath('recent-hashes.json'), options = {}) {
+    this.storePath = storePath;
+    this.maxEntries = options.maxEntries || 500;
+    this.recent = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const data = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        this.recent = Array.isArray(data.recent) ? data.recent : [];
+      }
+    } catch (error) {
+      logger.error(`Failed to read recent image hashes: ${this.storePath}`, error);
+      this.recent = [];
+    }
+  }
+
+  save() {
+    try {
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, recent: this.recent }));
+      fs.renameSync(tempPath, this.storePath);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to write recent image hashes: ${this.storePath}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Perceptual hash of an image, or null when it can't be computed
+   */
+  async hash(filePath) {
+    try {
+      return await computeDHash(filePath);
+    } catch (error) {
+      logger.debug(`Could not compute perceptual hash for ${path.basename(filePath)}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Find the closest recent file that looks the same
+   * @param {string} hash - Perceptual hash of the new file
+   * @param {Object} options
+   * @param {string} options.filePath - The new file itself, never its own duplicate
+   * @param {number} options.threshold - Maximum differing bits to count as a duplicate
+   * @param {number} options.windowMinutes - How far back to look
+   * @returns {Object|null} Matching entry with its distance
+   */
+  findNearDuplicate(hash, options = {}) {
+    this.load();
+    const cutoff = Date.now() - options.windowMinutes * 60 * 1000;
+    const self = options.filePath && path.resolve(options.filePath);
+    let best = null;
+
+    for (const entry of this.recent) {
+      if (new Date(entry.time).getTime() < cutoff) continue;
+      if (entry.path === self || !fs.existsSync(entry.path)) continue;
+
+      const distance = hammingDistance(hash, entry.hash);
+      if (distance <= options.threshold && (!best || distance < best.distance)) {
+        best = { ...entry, distance };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Remember a processed file under its final path
+   */
+  remember(hash, filePath) {
+    this.load();
+    const resolved = path.resolve(filePath);
+    this.recent = this.recent.filter(entry => entry.path !== resolved);
+    this.recent.push({ hash, path: resolved, time: new Date().toISOString() });
+    if (this.recent.length > this.maxEntries) {
+      this.recent = this.recent.slice(-this.maxEntries);
+    }
+    this.save();
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -0,0 +1,162 @@
+/**
+ * Filename templates such as "{date:YYYY-MM-DD}_{desc}" or "{original} - {desc}"
+ * are rendered from the analysis and the image itself. Tokens:
+ *
+ *   {desc}            cleaned description from the analyzer
+ *   {date[:FORMAT]}   file date, default YYYY-MM-DD
+ *   {time[:FORMAT]}   file time, default HH-mm-ss
+ *   {category}        category from the analysis
+ *   {tags}            tags from the analysis, joined with dashes
+ *   {width} {height}  image dimensions in pixels
+ *   {provider}        AI provider that named the image
+ *   {model}           model that named the image
+ *   {counter}         collision counter, starting at 1
+ *   {original}        original file name without extension
+ */
+
+const DEFAULT_TEMPLATE = '{desc}';
+const TEMPLATE_TOKENS = ['desc', 'date', 'time', 'category', 'tags', 'width', 'height', 'provider', 'model', 'counter', 'original'];
+const DATE_FORMAT_PART = /YYYY|YY|MM|DD|HH|mm|ss/;
+const DEFAULT_FORMATS = { date: 'YYYY-MM-DD', time: 'HH-mm-ss' };
+
+// Characters that are never allowed in a file name on macOS, Windows or Linux
+const UNSAFE_CHARS = /[\/\\:*?"<>|\x00-\x1f]/g;
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Split a template into literal text and tokens
+ * @param {string} template - Filename template
+ * @returns {Array<Object>} Parts: { text } or { token, format }
+ * @throws {Error} On unbalanced braces
+ */
+function parseTemplate(template) {
+  const parts = [];
+  const pattern = /\{([^{}]*)\}|([^{}]+)|([{}])/g;
+  let match;
+
+  while ((match = pattern.exec(template)) !== null) {
+    if (match[3]) {
+      throw new Error(`Unbalanced "${match[3]}" in filename template`);
+    }
+
+    if (match[2] !== undefined) {
+      parts.push({ text: match[2] });
+    } else {
+      const [token, ...format] = match[1].split(':');
+      parts.push({ token: token.trim(), format: format.length ? format.join(':') : null });
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Check a template for problems
+ * @param {string} template - Filename template
+ * @returns {string[]} Error messages, empty when valid
+ */
+function validateTemplate(template) {
+  let parts;
+  try {
+    parts = parseTemplate(template);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const errors = [];
+  for (const part of parts) {
+    if (part.text !== undefined) {
+      if (/[\/\\]/.test(part.text)) {
+        errors.push('Filename template cannot contain path separators');
+      }
+    } else if (!TEMPLATE_TOKENS.includes(part.token)) {
+      errors.push(`Unknown filename template token {${part.token}}. Available: ${TEMPLATE_TOKENS.map(token => `{${token}}`).join(', ')}`);
+    } else if (part.format !== null && !DEFAULT_FORMATS[part.token]) {
+      errors.push(`Token {${part.token}} does not take a format`);
+    } else if (part.format !== null && !DATE_FORMAT_PART.test(part.format)) {
+      errors.push(`Format "${part.format}" of {${part.token}} uses none of YYYY, YY, MM, DD, HH, mm, ss`);
+    }
+  }
+
+  if (!parts.some(part => part.token)) {
+    errors.push('Filename template needs at least one token, such as {desc}');
+  }
+
+  return [...new Set(errors)];
+}
+
+/**
+ * Whether a template uses a token
+ */
+function usesToken(template, token) {
+  return parseTemplate(template).some(part => part.token === token);
+}
+
+function formatDate(date, format) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const values = {
+    YYYY: String(date.getFullYear()),
+    YY: String(date.getFullYear()).slice(-2),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds())
+  };
+  return format.replace(new RegExp(DATE_FORMAT_PART.source, 'g'), part => values[part]);
+}
+
+/**
+ * Render a template to a file name without extension
+ * @param {string} template - Filename template
+ * @param {Object} values - desc, date, category, tags, width, height, provider, model and original
+ * @param {number} counter - Collision counter; appended as _N when the template has no {counter}
+ * @returns {string} Filesystem-safe base name
+ */
+function renderTemplate(template, values, counter = 1) {
+  const parts = parseTemplate(template);
+  const pieces = parts.map(part => {
+    if (part.text !== undefined) return part.text;
+
+    switch (part.token) {
+      case 'date':
+      case 'time':
+        return values.date ? formatDate(values.date, part.format || DEFAULT_FORMATS[part.token]) : '';
+      case 'tags':
+        return (values.tags || []).join('-');
+      case 'counter':
+        return String(counter);
+      default:
+        return values[part.token] === undefined || values[part.token] === null ? '' : String(values[part.token]);
+    }
+  }).map(piece => piece.replace(UNSAFE_CHARS, ''));
+
+  // Drop the separator that belonged to an empty token, so "{category}_{desc}" never starts with "_"
+  pieces.forEach((piece, index) => {
+    if (piece !== '' || !parts[index].token) return;
+    if (parts[index + 1] && parts[index + 1].text !== undefined) {
+      pieces[index + 1] = pieces[index + 1].replace(/^[\s_.-]+/, '');
+    } else if (parts[index - 1] && parts[index - 1].text !== undefined) {
+      pieces[index - 1] = pieces[index - 1].replace(/[\s_.-]+$/, '');
+    }
+  });
+
+  const name = pieces.join('')
+    .replace(/^[\s_.-]+|[\s_.-]+$/g, '')
+    .substring(0, MAX_NAME_LENGTH);
+
+  if (counter > 1 && !parts.some(part => part.token === 'counter')) {
+    return `${name}_${counter}`;
+  }
+  return name;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_TOKENS,
+  parseTemplate,
+  validateTemplate,
+  usesToken,
+  formatDate,
+  renderTemplate
+};
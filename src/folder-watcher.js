@@ -1,17 +1,32 @@
 const chokidar = require('chokidar');
 const path = require('path');
 const fs = require('fs');
-const AnalyzerFactory = require('./analyzers/analyzer-factory');
-const clipboardManager = require('./clipboard-manager');
 const config = require('./config');
 const logger = require('./logger');
+const ProcessingQueue = require('./processing-queue');
+const RenamePipeline = require('./rename-pipeline');
+const RenamePlan = require('./rename-plan');
+const InteractiveReview = require('./interactive-review');
+const AnalyzerFactory = require('./analyzers/analyzer-factory');
+const providerHealth = require('./analyzers/provider-health');
+const { showNotification } = require('./utils/macos-helpers');
 
 class FolderWatcher {
   constructor() {
     this.watcher = null;
     this.config = config.load();
-    this.imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+    this.profiles = [];
+    this.pipeline = new RenamePipeline();
     this.processingFiles = new Set();
+    this.queue = new ProcessingQueue();
+    this.dryRun = false;
+    this.plan = null;
+    this.planPath = null;
+    this.plannedPaths = new Set();
+    this.confirm = false;
+    this.reviewer = null;
+    this.probeTimer = null;
+    this.probing = false;
     this.timingData = new Map(); // Store timing comparisons
   }
 
@@ -19,27 +34,59 @@ class FolderWatcher {
     return `${(ms / 1000).toFixed(1)} seconds`;
   }
 
-  getAnalyzer() {
-    return AnalyzerFactory.createAnalyzer(this.config);
+  getProfileForFile(filePath) {
+    return config.getProfileForFile(filePath, this.profiles);
   }
 
-  start() {
+  /**
+   * Start watching every configured folder
+   * @param {Object} options
+   * @param {boolean} options.dryRun - Plan renames for all folders without touching files
+   * @param {string} options.planPath - Where dry-run plans are written
+   * @param {boolean} options.confirm - Ask in the terminal before renaming each image
+   */
+  start(options = {}) {
     if (this.watcher) {
       logger.warn('Watcher service already running');
       return;
     }
 
+    this.dryRun = Boolean(options.dryRun);
+    this.planPath = options.planPath || config.getStatePath('dry-run-plan.json');
+    this.plan = new RenamePlan();
+    this.plannedPaths.clear();
+
+    // Confirmation needs someone at a terminal; without one, images simply wait for review
+    this.confirm = Boolean(options.confirm) && !this.dryRun;
+    this.reviewer = this.confirm && process.stdin.isTTY ? new InteractiveReview(this.pipeline) : null;
+    if (this.confirm && !this.reviewer) {
+      logger.warn('No terminal to confirm names in; new images will wait for "screenshot-renamer review"');
+    }
+
     this.reloadConfig(); // Ensure latest config is loaded
-    const watchFolder = this.config.watchFolder;
-    
-    if (!watchFolder || !fs.existsSync(watchFolder)) {
-      logger.error(`Watch folder is invalid or not configured: ${watchFolder}`);
+
+    const validProfiles = this.profiles.filter(profile => {
+      if (!profile.path || !fs.existsSync(profile.path)) {
+        logger.error(`Watch folder is invalid or not configured: ${profile.path}`, null, { profile: profile.name });
+        return false;
+      }
+      return true;
+    });
+
+    if (validProfiles.length === 0) {
+      logger.error('No valid watch folders configured');
       return;
     }
 
-    logger.info(`Starting to watch folder: ${watchFolder}`);
+    const watchFolders = validProfiles.map(profile => profile.path);
+    validProfiles.forEach(profile => {
+      logger.info(`Starting to watch folder: ${profile.path}`, {
+        profile: profile.name,
+        provider: config.getProviderChain(profile.config).join(' → ')
+      });
+    });
 
-    this.watcher = chokidar.watch(watchFolder, {
+    this.watcher = chokidar.watch(watchFolders, {
       ignored: /(^|[\/\\])\../, // ignore dotfiles
       persistent: true,
       ignoreInitial: true,
@@ -53,9 +100,16 @@ class FolderWatcher {
       .on('add', (filePath) => this.handleNewFile(filePath))
       .on('error', (error) => logger.error('Watcher error', error))
       .on('ready', () => logger.info('File watcher ready'));
+
+    this.startHealthProbes();
   }
 
   stop() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+
     if (this.watcher) {
       this.watcher.close();
       this.watcher = null;
@@ -65,18 +119,30 @@ class FolderWatcher {
 
   async handleNewFile(filePath) {
     logger.info(`New file detected: ${filePath}`);
+    let job = null;
+
+    // A replayed job that turns out to need no processing is settled here,
+    // so it doesn't stay in the queue forever
+    const queued = this.processingFiles.has(filePath) ? null : this.queue.getActiveJob(filePath);
+
     try {
-      const ext = path.extname(filePath).toLowerCase();
-      const fileName = path.basename(filePath, ext);
-      
-      if (!this.imageExtensions.includes(ext)) {
+      if (!this.pipeline.isImageFile(filePath)) {
         logger.debug(`Skipping non-image file: ${filePath}`);
+        if (queued) this.queue.markFailed(queued.id, 'Not an image');
         return;
       }
 
-      // Skip if already processed (has AI-generated name pattern)
-      if (fileName.match(/^[a-z_]+(_\d+)?$/)) {
+      // Skip if this image's content has been processed before
+      const owner = this.getProfileForFile(filePath);
+      if (await this.pipeline.isAlreadyProcessed(filePath, owner ? owner.config : this.config)) {
         logger.info(`⏭️ Skipping already processed file: ${path.basename(filePath)}`);
+        if (queued) this.queue.markRenamed(queued.id, filePath);
+        return;
+      }
+
+      if (this.pipeline.journal.wasRestored(filePath)) {
+        logger.info(`⏭️ Skipping file restored by undo: ${path.basename(filePath)}`);
+        if (queued) this.queue.markFailed(queued.id, 'Restored by undo');
         return;
       }
 
@@ -93,140 +159,317 @@ class FolderWatcher {
       
       // Reload config to pick up any changes
       this.reloadConfig();
-      
-      // Analyze image with AI
-      const aiProvider = this.config.aiProvider;
-      let modelName;
-      if (aiProvider === 'lmstudio') {
-        modelName = this.config.lmstudioModel;
-      } else if (aiProvider === 'ollama') {
-        modelName = this.config.ollamaModel;
-      } else {
-        modelName = this.config.geminiModel;
+
+      const profile = this.getProfileForFile(filePath);
+      if (!profile) {
+        logger.warn(`No watch profile found for file, skipping: ${filePath}`);
+        if (queued) this.queue.markFailed(queued.id, 'Folder is no longer watched');
+        return;
       }
-      const startTime = Date.now();
-      
-      logger.info(`🤖 Starting AI analysis`, {
-        provider: aiProvider,
-        model: modelName,
-        file: path.basename(filePath)
-      });
-      
-      const analyzer = this.getAnalyzer();
-      const analysis = await analyzer.analyzeImage(filePath);
-      
-      const endTime = Date.now();
-      const timeTaken = endTime - startTime;
-      
-      if (!analysis) {
-        logger.error('❌ Image analysis failed, no result returned', { 
-          file: filePath,
-          provider: aiProvider,
-          model: modelName,
-          timeTaken: this.formatTime(timeTaken)
-        });
-        this.processingFiles.delete(filePath);
+      const profileConfig = profile.config;
+
+      if (this.dryRun || profileConfig.dryRun) {
+        await this.planFile(filePath, profileConfig);
         return;
       }
-      
-      logger.info(`✅ Image analysis successful`, {
-        result: analysis,
-        provider: aiProvider,
-        model: modelName,
-        timeTaken: this.formatTime(timeTaken),
-        file: path.basename(filePath)
-      });
-      
-      // Store timing data for comparison
-      this.recordTiming(aiProvider, modelName, timeTaken);
 
-      // Generate new filename
-      const newFileName = await this.generateFileName(analysis, ext);
-      const newFilePath = path.join(path.dirname(filePath), newFileName);
+      // Record the job before any slow work so a crash can't lose it
+      job = this.queue.enqueue(filePath, { profile: profile.name });
+      this.queue.markAnalyzing(job.id);
       
-      // Rename file
-      if (filePath !== newFilePath) {
-        try {
-          await fs.promises.rename(filePath, newFilePath);
-          logger.info(`File renamed: ${path.basename(filePath)} → ${newFileName}`);
-
-          // Copy to clipboard if enabled
-          if (this.config.copyToClipboard) {
-            await clipboardManager.copyImageToClipboard(newFilePath);
-            logger.info('Image copied to clipboard');
-          }
-        } catch (renameError) {
-          logger.error(`Error renaming file: ${filePath} to ${newFilePath}`, renameError);
-        }
+      const result = await this.pipeline.processFile(filePath, profileConfig, { confirm: this.confirm });
+
+      if (result.analysis && !result.cached) {
+        // Store timing data for comparison
+        this.recordTiming(result.provider, result.model, result.timeTaken);
+      }
+
+      if (result.status === 'failed') {
+        this.queue.markFailed(job.id, result.error);
+      } else if (result.status === 'deferred') {
+        this.queue.markWaiting(job.id, result.reason);
+      } else if (result.status === 'review') {
+        this.queue.markHeld(job.id, result.newFilePath);
+      } else if (result.status === 'skipped') {
+        this.queue.markSkipped(job.id, result.reason);
+      } else {
+        this.queue.markRenamed(job.id, result.newFilePath);
+      }
+
+      if (result.status === 'review' && this.reviewer) {
+        this.reviewer.confirm(result.reviewId);
       }
       
     } catch (error) {
       logger.error(`Error processing file ${filePath}`, error);
+      if (job) {
+        this.queue.markFailed(job.id, error);
+      }
     } finally {
       this.processingFiles.delete(filePath);
     }
   }
 
-  async generateFileName(analysis, extension) {
-    // Clean up the analysis text to make it filename-safe
-    let fileName = analysis
-      .toLowerCase()
-      .replace(/[^\w\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '_') // Replace spaces with underscores
-      .replace(/_+/g, '_') // Remove multiple underscores
-      .replace(/^_|_$/g, '') // Remove leading/trailing underscores
-      .substring(0, 50); // Shorter length
-    
-    // Only add timestamp if filename would be too generic or empty
-    if (!fileName || fileName.length < 3 || fileName === 'image' || fileName === 'screenshot') {
-      const timestamp = Date.now();
-      return `${fileName || 'image'}_${timestamp}${extension}`;
+  /**
+   * Dry run: work out the new name and add it to the session's plan
+   */
+  async planFile(filePath, profileConfig) {
+    const result = await this.pipeline.processFile(filePath, profileConfig, {
+      dryRun: true,
+      reservedPaths: this.plannedPaths
+    });
+
+    if (result.status !== 'planned') {
+      return;
     }
-    
-    // Handle potential filename conflicts
-    let counter = 1;
-    let newFileName = `${fileName}${extension}`;
-    const dir = this.config.watchFolder;
-    
-    while (true) {
+
+    if (!this.plan) {
+      this.plan = new RenamePlan();
+    }
+    this.plan.add(result);
+
+    try {
+      this.plan.save(this.planPath || config.getStatePath('dry-run-plan.json'));
+    } catch (error) {
+      logger.error(`Failed to write dry-run plan: ${this.planPath}`, error);
+    }
+  }
+
+  /**
+   * Probe providers with an open circuit every healthProbeInterval
+   */
+  startHealthProbes() {
+    const interval = this.config.healthProbeInterval;
+    if (!interval) {
+      return;
+    }
+
+    this.probeTimer = setInterval(() => this.probeProviders(), interval);
+    this.probeTimer.unref();
+  }
+
+  /**
+   * Test the connection of every watched provider whose circuit isn't
+   * closed, or of every watched provider while images are waiting for one;
+   * when one answers, replay the images that waited for it
+   */
+  async probeProviders() {
+    if (this.probing) {
+      return;
+    }
+    this.probing = true;
+
+    try {
+      // Each provider is probed once, with the settings of the first profile using it
+      const providers = new Map();
+      this.profiles.forEach(profile => {
+        config.getProviderChain(profile.config).forEach(provider => {
+          if (!providers.has(provider)) {
+            providers.set(provider, profile.config);
+          }
+        });
+      });
+
+      const waiting = this.queue.getWaitingJobs().length > 0;
+      const answered = new Set();
+      for (const [provider, profileConfig] of providers) {
+        if (!waiting && providerHealth.get(provider).state === 'closed') continue;
+
+        const analyzer = AnalyzerFactory.createProviderAnalyzer({ ...profileConfig, aiProvider: provider });
+        const result = await analyzer.testConnection();
+        logger.debug(`Health probe: ${provider} ${result.success ? 'answered' : 'is still down'}`, { error: result.error });
+        providerHealth.recordProbe(provider, result, profileConfig);
+        if (result.success) {
+          answered.add(provider);
+        }
+      }
+
+      // Only jobs whose profile can use a provider that answered; the rest would just wait again
+      const jobs = this.queue.getReplayableJobs().filter(job => {
+        const profile = this.getProfileForFile(job.filePath);
+        return !profile || config.getProviderChain(profile.config).some(provider => answered.has(provider));
+      });
+      if (answered.size > 0 && jobs.length > 0) {
+        await this.replayQueue(jobs);
+      }
+    } catch (error) {
+      logger.error('Provider health probe failed', error);
+    } finally {
+      this.probing = false;
+    }
+  }
+
+  /**
+   * Re-run jobs left pending or mid-analysis by a previous run, or
+   * waiting for a provider to recover
+   * @param {Object[]} jobs - Jobs to replay; every replayable job by default
+   */
+  async replayQueue(jobs = this.queue.getReplayableJobs()) {
+    if (jobs.length === 0) {
+      return;
+    }
+
+    const waitingIds = new Set(jobs.filter(job => job.state === 'waiting').map(job => job.id));
+    logger.info(`♻️ Replaying ${jobs.length} queued job(s) from the processing queue`, { waiting: waitingIds.size });
+
+    for (const job of jobs) {
+      // Already being processed; that run settles the job
+      if (this.processingFiles.has(job.filePath)) continue;
+
+      if (!fs.existsSync(job.filePath)) {
+        logger.warn(`Queued file no longer exists: ${job.filePath}`);
+        this.queue.markFailed(job.id, 'File no longer exists');
+        continue;
+      }
+
+      const profile = this.getProfileForFile(job.filePath);
+      if (!profile) {
+        logger.warn(`Queued file is no longer in a watched folder: ${job.filePath}`);
+        this.queue.markFailed(job.id, 'Folder is no longer watched');
+        continue;
+      }
+
+      if (this.dryRun || profile.config.dryRun) {
+        logger.debug(`Dry run: leaving queued job for a later run: ${job.filePath}`);
+        continue;
+      }
+
+      await this.handleNewFile(job.filePath);
+    }
+
+    if (waitingIds.size > 0) {
+      this.reportBacklog(waitingIds);
+    }
+  }
+
+  /**
+   * Summarise how the images that waited for a provider fared, with a
+   * notification once none is left waiting
+   * @param {Set<string>} jobIds - Jobs that were waiting before the replay
+   */
+  reportBacklog(jobIds) {
+    const jobs = this.queue.jobs.filter(job => jobIds.has(job.id));
+    const count = (state) => jobs.filter(job => job.state === state).length;
+    const renamed = count('renamed');
+    const held = count('held');
+    const failed = count('failed');
+    const stillWaiting = this.queue.getWaitingJobs().length;
+
+    if (stillWaiting > 0) {
+      logger.info(`⏸️ ${stillWaiting} image(s) still waiting for a provider`, { renamed, held, failed });
+      return;
+    }
+
+    logger.info(`📬 Offline backlog drained: ${renamed} image(s) named${held > 0 ? `, ${held} held for review` : ''}${failed > 0 ? `, ${failed} failed` : ''}`);
+
+    if (this.config.showNotifications && process.platform === 'darwin') {
       try {
-        await fs.promises.access(path.join(dir, newFileName));
-        // If access doesn't throw, file exists. Try next name.
-        counter++;
-        newFileName = `${fileName}_${counter}${extension}`;
-      } catch (e) {
-        // If access throws, file does not exist. We're good.
-        break;
+        showNotification(`Named ${renamed} image(s) that waited while no provider was reachable${failed > 0 ? ` (${failed} failed)` : ''}`);
+      } catch (error) {
+        logger.debug('Could not show notification', { error: error.message });
       }
     }
-    
-    return newFileName;
   }
 
+  /**
+   * Find images that arrived while the service was stopped, newest first,
+   * within the profile's age and count limits
+   * @param {Object} profile - Watch profile to scan
+   * @returns {Promise<string[]>} File paths to process
+   */
+  async findBacklog(profile) {
+    const { catchUpMaxAgeHours, catchUpMaxFiles } = profile.config;
+    const cutoff = Date.now() - catchUpMaxAgeHours * 60 * 60 * 1000;
+    const candidates = [];
+
+    const entries = await fs.promises.readdir(profile.path, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+
+      const filePath = path.join(profile.path, entry.name);
+      if (!this.pipeline.isImageFile(filePath)) continue;
+      if (this.queue.getActiveJob(filePath)) continue;
+      if (this.pipeline.journal.wasRestored(filePath)) continue; // Undone on purpose
+      if (this.getProfileForFile(filePath) !== profile) continue; // Owned by a nested profile
+
+      try {
+        const stats = await fs.promises.stat(filePath);
+        if (stats.mtimeMs >= cutoff && !await this.pipeline.isAlreadyProcessed(filePath, profile.config)) {
+          candidates.push({ filePath, mtime: stats.mtimeMs });
+        }
+      } catch (error) {
+        logger.debug(`Could not stat backlog file: ${filePath}`, { error: error.message });
+      }
+    }
+
+    return candidates
+      .sort((a, b) => b.mtime - a.mtime)
+      .slice(0, catchUpMaxFiles)
+      .map(candidate => candidate.filePath);
+  }
+
+  /**
+   * Process unrenamed images left in the watch folders while the service was stopped
+   * @param {Object} options
+   * @param {boolean} options.force - Catch up even for profiles without catchUpOnStart
+   */
+  async catchUp(options = {}) {
+    this.reloadConfig();
+
+    for (const profile of this.profiles) {
+      if (!options.force && !profile.config.catchUpOnStart) continue;
+      if (!profile.path || !fs.existsSync(profile.path)) continue;
+
+      const backlog = await this.findBacklog(profile);
+      if (backlog.length === 0) {
+        logger.info(`No backlog to catch up in ${profile.path}`);
+        continue;
+      }
+
+      logger.info(`⏪ Catching up on ${backlog.length} unprocessed image(s) in ${profile.path}`, {
+        profile: profile.name,
+        maxAgeHours: profile.config.catchUpMaxAgeHours,
+        maxFiles: profile.config.catchUpMaxFiles
+      });
+
+      for (const filePath of backlog) {
+        await this.handleNewFile(filePath);
+      }
+    }
+  }
 
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   updateConfig(newConfig) {
+    const foldersChanged = (newConfig.watchFolder && newConfig.watchFolder !== this.config.watchFolder) ||
+      (newConfig.watchFolders && JSON.stringify(newConfig.watchFolders) !== JSON.stringify(this.config.watchFolders));
+
     this.config = { ...this.config, ...newConfig };
     config.save(this.config);
     
-    // Restart watcher if folder changed
-    if (newConfig.watchFolder && newConfig.watchFolder !== this.config.watchFolder) {
+    // Restart watcher if folders changed
+    if (foldersChanged) {
       this.stop();
       this.start();
     }
   }
 
   reloadConfig() {
-    const oldProvider = this.config.aiProvider;
+    const oldProvider = config.getProviderChain(this.config).join(' → ');
+    const oldFolders = this.profiles.map(profile => profile.path).join('|');
     this.config = config.load();
-    const newProvider = this.config.aiProvider;
+    this.profiles = config.getWatchProfiles(this.config);
+    const newProvider = config.getProviderChain(this.config).join(' → ');
     
     if (oldProvider !== newProvider) {
       logger.info(`🔄 AI Provider changed: ${oldProvider} → ${newProvider}`);
     }
+
+    if (this.watcher && oldFolders !== this.profiles.map(profile => profile.path).join('|')) {
+      logger.warn('Watch folders changed; restart the service to watch the new folders');
+    }
   }
 
   recordTiming(provider, model, timeTaken) {
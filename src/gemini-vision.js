@@ -1,7 +1,23 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
 const fs = require('fs');
 const logger = require('./logger');
-const { getMimeType, cleanFilename, getFallbackName } = require('./ai-utils');
+const { getMimeType, getNamingPrompt } = require('./ai-utils');
+const { createAnalysis, parseStructuredAnalysis } = require('./analysis-schema');
+
+// Gemini's native response schema for structured analysis
+const RESPONSE_SCHEMA = {
+  type: SchemaType.OBJECT,
+  properties: {
+    name: { type: SchemaType.STRING },
+    description: { type: SchemaType.STRING },
+    tags: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } },
+    category: { type: SchemaType.STRING },
+    detectedApp: { type: SchemaType.STRING },
+    confidence: { type: SchemaType.NUMBER },
+    alternatives: { type: SchemaType.ARRAY, items: { type: SchemaType.STRING } }
+  },
+  required: ['name', 'description', 'tags', 'category', 'detectedApp', 'confidence']
+};
 
 class GeminiVisionAnalyzer {
   constructor(config = null) {
@@ -29,17 +45,28 @@ class GeminiVisionAnalyzer {
     try {
       this.genAI = new GoogleGenerativeAI(apiKey);
       const modelName = this.config.geminiModel || 'gemini-2.0-flash-exp';
-      this.model = this.genAI.getGenerativeModel({ model: modelName });
+      const modelParams = { model: modelName };
+      if (this.config.structuredAnalysis) {
+        modelParams.generationConfig = {
+          responseMimeType: 'application/json',
+          responseSchema: RESPONSE_SCHEMA
+        };
+      }
+      this.model = this.genAI.getGenerativeModel(modelParams);
       logger.info('Gemini API initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize Gemini API:', error);
     }
   }
 
-  async analyzeImage(imagePath) {
+  /**
+   * @param {string} imagePath - Image to name
+   * @param {Object} options
+   * @param {string} options.prompt - Ask this instead of the configured naming prompt
+   */
+  async analyzeImage(imagePath, options = {}) {
     if (!this.model) {
-      logger.error('Gemini API not initialized');
-      return null;
+      throw Object.assign(new Error('Gemini API not initialized'), { retryable: false });
     }
 
     try {
@@ -56,29 +83,25 @@ class GeminiVisionAnalyzer {
       }];
 
       // Create a descriptive prompt for naming
-      const prompt = `Analyze this image and provide a short, descriptive filename (without extension) that would be suitable for organizing this image. 
-      Focus on the main subject, action, or content of the image. 
-      Use clear, simple words separated by underscores.
-      Examples: "login_screen", "dashboard_overview", "error_message", "user_profile", "mobile_menu"
-      Keep it under 50 characters and avoid special characters.
-      Just respond with the filename, nothing else.`;
+      const prompt = options.prompt || getNamingPrompt(this.config);
 
       // Generate content
       const result = await this.model.generateContent([prompt, ...imageParts]);
       const response = await result.response;
       const text = response.text().trim();
 
-      // Clean up the response
-      const cleanedText = cleanFilename(text);
+      // Validate and clean up the response
+      const analysis = this.config.structuredAnalysis
+        ? parseStructuredAnalysis(text, this.config)
+        : createAnalysis(text, this.config);
       
-      logger.info(`AI Analysis: "${cleanedText}"`);
-      return cleanedText;
+      logger.info(`AI Analysis: "${analysis.name}"`);
+      return analysis;
 
     } catch (error) {
-      logger.error('Error analyzing image with Gemini:', error);
-      
-      // Fallback to timestamp-based naming
-      return getFallbackName(imagePath);
+      // RetryingAnalyzer decides whether to try again or fall back
+      logger.debug('Error analyzing image with Gemini', { error: error.message });
+      throw error;
     }
   }
 
@@ -3,6 +3,9 @@
 const FolderWatcher = require('./folder-watcher');
 const config = require('./config');
 const AnalyzerFactory = require('./analyzers/analyzer-factory');
+const providerRegistry = require('./analyzers/provider-registry');
+const providerHealth = require('./analyzers/provider-health');
+const { isUnreachable } = require('./analyzers/retry');
 const clipboardManager = require('./clipboard-manager');
 const Welcome = require('./welcome');
 const logger = require('./logger');
@@ -17,12 +20,18 @@ class ScreenshotRenamer {
     this.pidFilePath = path.join(os.tmpdir(), 'screenshot-renamer.pid');
   }
 
-  getAnalyzer() {
-    const currentConfig = config.load();
-    return AnalyzerFactory.createAnalyzer(currentConfig);
+  getAnalyzer(profileConfig = config.load()) {
+    return AnalyzerFactory.createAnalyzer(profileConfig);
   }
 
-  async start() {
+  /**
+   * Start the watcher service
+   * @param {Object} options
+   * @param {boolean} options.catchUp - Process the existing backlog even if catchUpOnStart is off
+   * @param {boolean} options.dryRun - Plan renames without touching any files
+   * @param {string} options.planPath - Where the dry-run plan is written
+   */
+  async start(options = {}) {
     logger.serviceEvent('starting');
     
     // Load and validate configuration
@@ -37,21 +46,47 @@ class ScreenshotRenamer {
       process.exit(1);
     }
 
-    // Test API connection
-    const analyzer = this.getAnalyzer();
-    const provider = currentConfig.aiProvider;
-    logger.info(`Testing ${provider} API connection...`);
-    const apiTest = await analyzer.testConnection();
-    if (!apiTest.success) {
-      Welcome.showError(`${provider} API test failed`, [
-        provider === 'gemini' ? 'Check your API key is correct' : 'Check LM Studio is running',
-        provider === 'gemini' ? 'Ensure you have internet connection' : 'Verify LM Studio endpoint is accessible',
-        'Run setup again: npm run setup'
-      ]);
-      logger.apiError('connection_test', apiTest.error);
-      process.exit(1);
+    // The service keeps provider health for `status` and its next start
+    providerHealth.persist();
+
+    // Test API connection for every provider used by a watch profile
+    const profiles = config.getWatchProfiles(currentConfig);
+    const testedProviders = new Set();
+    for (const profile of profiles) {
+      const provider = config.getProviderChain(profile.config).join(' → ');
+      if (testedProviders.has(provider)) continue;
+      testedProviders.add(provider);
+
+      // A chain only needs one provider up; the rest are fallbacks
+      const analyzer = this.getAnalyzer(profile.config);
+      logger.info(`Testing ${provider} API connection...`);
+      const apiTest = await analyzer.testConnection();
+
+      // Offline rather than misconfigured: watch anyway, and hold images until a provider answers
+      const offline = !apiTest.success && (apiTest.results || [apiTest])
+        .every(result => isUnreachable({ message: result.error }));
+      if (offline) {
+        logger.warn(`No provider in ${provider} is reachable; new images keep their names and wait until one answers`, {
+          error: apiTest.error
+        });
+        continue;
+      }
+
+      if (!apiTest.success) {
+        Welcome.showError(`${provider} API test failed`, [
+          ...(apiTest.results
+            ? apiTest.results.map(result => `${result.provider}: ${result.error}`)
+            : providerRegistry.get(provider).hints),
+          'Run setup again: npm run setup'
+        ]);
+        logger.apiError('connection_test', apiTest.error);
+        process.exit(1);
+      }
+      (apiTest.results || []).filter(result => !result.success).forEach(result => {
+        logger.warn(`${result.provider} is unavailable; images will fall back to the next provider`, { error: result.error });
+      });
+      logger.info(`${provider} API connection successful`);
     }
-    logger.info(`${provider} API connection successful`);
 
     // Test clipboard functionality
     logger.info('Testing clipboard functionality...');
@@ -66,9 +101,14 @@ class ScreenshotRenamer {
     this.createPidFile();
 
     // Start file watcher
-    this.watcher.start();
+    const dryRun = Boolean(options.dryRun || currentConfig.dryRun);
+    this.watcher.start({ dryRun, planPath: options.planPath, confirm: options.confirm });
     this.isRunning = true;
 
+    if (dryRun) {
+      logger.info(`🔍 Dry run: files will not be renamed. Planned renames are written to ${this.watcher.planPath}`);
+    }
+
     // Show status in development mode, log in production
     if (process.env.NODE_ENV !== 'production') {
       Welcome.showStatus(currentConfig, true);
@@ -77,7 +117,7 @@ class ScreenshotRenamer {
     }
     
     logger.serviceEvent('started', {
-      watchFolder: currentConfig.watchFolder,
+      watchFolders: profiles.map(profile => profile.path),
       clipboardEnabled: currentConfig.copyToClipboard
     });
 
@@ -91,6 +131,14 @@ class ScreenshotRenamer {
       this.watcher.reloadConfig();
       logger.info('✅ Configuration reloaded');
     });
+
+    // Finish any files interrupted by a previous stop or crash, then
+    // catch up on images added while the service was stopped
+    this.watcher.replayQueue()
+      .then(() => this.watcher.catchUp({ force: options.catchUp }))
+      .catch(error => {
+        logger.error('Failed to process startup backlog', error);
+      });
   }
 
   stop() {
@@ -138,6 +186,31 @@ class ScreenshotRenamer {
     return false;
   }
 
+  /**
+   * Print each provider's circuit breaker state, as the running service last recorded it
+   */
+  showProviderHealth(currentConfig) {
+    const health = providerHealth.getAll(currentConfig);
+    const providers = [...new Set([...config.getProviderChain(currentConfig), ...Object.keys(health)])];
+    const icons = { closed: '🟢', open: '🔴', 'half-open': '🟡' };
+
+    console.log('🩺 Provider health:');
+    providers.forEach(name => {
+      const record = health[name] || { state: 'closed', consecutiveFailures: 0 };
+      let detail = record.consecutiveFailures > 0 ? `, ${record.consecutiveFailures} failure(s) in a row` : '';
+      if (record.state === 'open') {
+        const trialAt = new Date(new Date(record.openedAt).getTime() + currentConfig.circuitBreakerCooldown);
+        detail += `, next trial ${trialAt.toLocaleTimeString()}`;
+      } else if (record.state === 'half-open') {
+        detail += ', next analysis is a trial';
+      }
+      console.log(`   ${icons[record.state]} ${name}: ${record.state}${detail}`);
+      if (record.state !== 'closed' && record.lastError) {
+        console.log(`      last error: ${record.lastError}`);
+      }
+    });
+  }
+
   async status() {
     const currentConfig = config.load();
     const validation = config.validate(currentConfig);
@@ -157,21 +230,33 @@ class ScreenshotRenamer {
       console.log('✅ Configuration is valid');
     }
 
+    const queueCounts = this.watcher.queue.getCounts();
+    console.log(`📥 Processing queue: ${queueCounts.pending} pending, ${queueCounts.analyzing} analyzing, ${queueCounts.waiting} waiting for a provider, ${queueCounts.renamed} renamed, ${queueCounts.held} held for review, ${queueCounts.skipped} skipped, ${queueCounts.failed} failed`);
+
+    const pendingReviews = this.watcher.pipeline.reviews.getPending().length;
+    if (pendingReviews > 0) {
+      console.log(`🤔 Awaiting review: ${pendingReviews} image(s). Run "screenshot-renamer review" to settle them.`);
+    }
+
+    this.showProviderHealth(currentConfig);
+
     // Test API if configured
-    const provider = currentConfig.aiProvider;
-    const hasValidConfig = provider === 'gemini' ? currentConfig.geminiApiKey :
-                          provider === 'lmstudio' ? currentConfig.lmstudioBaseUrl : false;
+    const provider = config.getProviderChain(currentConfig).join(' → ');
+    const hasValidConfig = config.getProviderChain(currentConfig).some(name =>
+      providerRegistry.has(name) && providerRegistry.validateConfig(name, currentConfig).success);
     
     if (hasValidConfig) {
       console.log(`\n🧪 Testing the ${provider} connection...`);
       const analyzer = this.getAnalyzer();
       const apiTest = await analyzer.testConnection();
+      (apiTest.results || []).forEach(result => {
+        console.log(`   ${result.success ? '✓' : '✗'} ${result.provider}${result.success ? '' : `: ${result.error}`}`);
+      });
       if (apiTest.success) {
         console.log('✅ Connection Status: Operating as intended.');
       } else {
         Welcome.showError('Connection to AI companion failed', [
-          provider === 'gemini' ? 'Verify your internet connection' : 'Confirm LM Studio is active',
-          provider === 'gemini' ? 'Ensure your API key remains valid' : 'Verify the LM Studio endpoint is accessible',
+          ...(apiTest.results ? ['Start at least one provider in the chain'] : providerRegistry.get(provider).hints),
           'Consider re-running the setup: npm run setup'
         ]);
       }
@@ -0,0 +1,229 @@
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const config = require('./config');
+const logger = require('./logger');
+const { cleanFilename } = require('./ai-utils');
+
+const MAX_CANDIDATES = 5;
+
+/**
+ * Walks through images awaiting review in the terminal. For each one the
+ * suggested name and a few alternatives are offered; the user accepts one,
+ * types their own, asks the model again, skips, or keeps the original name.
+ * Every decision goes back through the rename pipeline, so it is journalled
+ * and can be undone like any other rename.
+ */
+class InteractiveReview {
+  /**
+   * @param {RenamePipeline} pipeline - Pipeline owning the review queue
+   */
+  constructor(pipeline) {
+    this.pipeline = pipeline;
+    this.pending = Promise.resolve();
+    this.stopped = false;
+  }
+
+  /**
+   * Configuration for a review: its watch profile's, else the top-level settings
+   */
+  getProfileConfig(review) {
+    const currentConfig = config.load();
+    const profile = config.getProfileForFile(review.originalPath, config.getWatchProfiles(currentConfig));
+    return profile ? profile.config : currentConfig;
+  }
+
+  /**
+   * Names worth offering besides the suggestion: alternatives the model
+   * gave, and names built from a structured analysis' app, tags and description
+   * @param {Object} analysis - The review's analysis
+   * @param {Object} settings - Configuration, for filename cleaning
+   * @returns {string[]} Cleaned names, suggestion first
+   */
+  static getCandidateNames(analysis, settings = {}) {
+    const names = [analysis.name, ...(analysis.alternatives || [])];
+    if (analysis.detectedApp) {
+      names.push(`${analysis.detectedApp} ${analysis.name}`);
+    }
+    if (analysis.tags && analysis.tags.length > 1) {
+      names.push(analysis.tags.slice(0, 3).join(' '));
+    }
+    if (analysis.description) {
+      names.push(analysis.description);
+    }
+    return names.map(name => cleanFilename(name, settings));
+  }
+
+  /**
+   * Candidate file names for a review, rendered with the filename template
+   * and free in the suggestion's folder
+   * @returns {Promise<string[]>} File names, the suggestion first
+   */
+  async getCandidates(review, settings) {
+    const directory = path.dirname(review.suggestedPath);
+    const ext = path.extname(review.filePath).toLowerCase();
+    const candidates = new Set([path.basename(review.suggestedPath)]);
+
+    for (const name of InteractiveReview.getCandidateNames(review.analysis || {}, settings)) {
+      if (candidates.size >= MAX_CANDIDATES) break;
+      const analysis = { ...review.analysis, name };
+      candidates.add(await this.pipeline.generateFileName(analysis, ext, directory, new Set(), review.filePath, settings));
+    }
+
+    return [...candidates];
+  }
+
+  async prompt(questions) {
+    try {
+      return await inquirer.prompt(questions);
+    } catch (error) {
+      if (error.code === 'ERR_USE_AFTER_CLOSE') {
+        throw new Error('Interactive prompts not available');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Review images one after another
+   * @param {Object[]} reviews - Pending reviews
+   * @returns {Promise<Object>} Counts of renamed, kept, skipped and failed images
+   */
+  async run(reviews) {
+    const summary = { renamed: 0, kept: 0, skipped: 0, failed: 0 };
+
+    for (let i = 0; i < reviews.length; i++) {
+      console.log(chalk.gray(`\n[${i + 1}/${reviews.length}]`));
+      const outcome = await this.reviewOne(reviews[i]);
+      if (outcome === 'quit') {
+        summary.skipped += reviews.length - i;
+        break;
+      }
+      summary[outcome]++;
+    }
+
+    console.log(`\nRenamed ${summary.renamed}, kept ${summary.kept}, skipped ${summary.skipped}, failed ${summary.failed}.`);
+    return summary;
+  }
+
+  /**
+   * Ask about a review held by `start --confirm`. Questions wait their turn,
+   * since images keep arriving while one is being answered.
+   * @param {string} reviewId - Review to confirm
+   */
+  confirm(reviewId) {
+    this.pending = this.pending.then(async () => {
+      const review = this.pipeline.reviews.findPending(reviewId);
+      if (!review) {
+        return;
+      }
+      if (this.stopped) {
+        logger.info(`${path.basename(review.filePath)} is waiting for "screenshot-renamer review"`);
+        return;
+      }
+      if (await this.reviewOne(review) === 'quit') {
+        this.stopped = true;
+        console.log(chalk.gray('No more questions this session; new images wait for "screenshot-renamer review".'));
+      }
+    }).catch(error => {
+      logger.error('Interactive review failed', error);
+    });
+    return this.pending;
+  }
+
+  /**
+   * Ask what to do with one image, until it is settled or skipped
+   * @returns {Promise<string>} 'renamed', 'kept', 'skipped', 'failed' or 'quit'
+   */
+  async reviewOne(review) {
+    let current = review;
+
+    for (;;) {
+      const settings = this.getProfileConfig(current);
+      const candidates = await this.getCandidates(current, settings);
+      this.printReview(current);
+
+      const { choice } = await this.prompt([
+        {
+          type: 'list',
+          name: 'choice',
+          message: 'Name this image:',
+          pageSize: 12,
+          choices: [
+            ...candidates.map((fileName, index) => ({
+              name: index === 0 ? `${fileName} ${chalk.gray('(suggested)')}` : fileName,
+              value: { action: 'accept', fileName }
+            })),
+            new inquirer.Separator(),
+            { name: '✏️  Type a name', value: { action: 'rename' } },
+            { name: '🔄 Ask the model again', value: { action: 'regenerate' } },
+            { name: '⏭  Skip for now', value: { action: 'skip' } },
+            { name: '✋ Keep the original name', value: { action: 'dismiss' } },
+            { name: 'Quit', value: { action: 'quit' } }
+          ]
+        }
+      ]);
+
+      if (choice.action === 'skip') {
+        return 'skipped';
+      }
+      if (choice.action === 'quit') {
+        return 'quit';
+      }
+
+      if (choice.action === 'regenerate') {
+        try {
+          current = await this.pipeline.regenerateReview(current, settings);
+        } catch (error) {
+          console.log(chalk.red(`✗ ${error.message}`));
+        }
+        continue;
+      }
+
+      let name = choice.fileName;
+      if (choice.action === 'rename') {
+        ({ name } = await this.prompt([
+          {
+            type: 'input',
+            name: 'name',
+            message: 'New name:',
+            default: path.basename(current.suggestedPath, path.extname(current.suggestedPath)),
+            validate: (input) => (input.trim() ? true : 'A name cannot be empty.')
+          }
+        ]));
+      }
+
+      try {
+        const result = await this.pipeline.resolveReview(current, choice.action, settings, name);
+        return this.printResult(current, result);
+      } catch (error) {
+        console.log(chalk.red(`✗ ${error.message}`));
+        return 'failed';
+      }
+    }
+  }
+
+  printReview(review) {
+    const analysis = review.analysis || {};
+    console.log(`${chalk.bold(path.basename(review.filePath))} ${chalk.gray(`in ${path.dirname(review.filePath)}`)}`);
+    console.log(chalk.gray(`  ${review.reason}`));
+    if (analysis.description) {
+      console.log(chalk.gray(`  “${analysis.description}”`));
+    }
+  }
+
+  printResult(review, result) {
+    if (result.status === 'failed') {
+      console.log(`${chalk.red('✗')} ${path.basename(review.filePath)} ${chalk.red(result.error)}`);
+      return 'failed';
+    }
+    if (result.status === 'renamed') {
+      console.log(`${chalk.green('✓')} ${path.basename(review.filePath)} → ${path.basename(result.newFilePath)}`);
+      return 'renamed';
+    }
+    console.log(`${chalk.gray('keep')} ${path.basename(review.filePath)}`);
+    return 'kept';
+  }
+}
+
+module.exports = InteractiveReview;
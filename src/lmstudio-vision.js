@@ -1,7 +1,11 @@
 const fs = require('fs');
 const fetch = require('node-fetch');
 const logger = require('./logger');
-const { getMimeType, cleanFilename, getFallbackName } = require('./ai-utils');
+const { getMimeType, getNamingPrompt } = require('./ai-utils');
+const { ANALYSIS_JSON_SCHEMA, createAnalysis, parseStructuredAnalysis } = require('./analysis-schema');
+
+// JSON answers need far more room than a bare filename
+const STRUCTURED_MAX_TOKENS = 400;
 
 class LMStudioVisionAnalyzer {
   constructor(config = null) {
@@ -26,7 +30,12 @@ class LMStudioVisionAnalyzer {
     logger.debug(`LM Studio configured: ${this.baseUrl}`);
   }
 
-  async analyzeImage(imagePath) {
+  /**
+   * @param {string} imagePath - Image to name
+   * @param {Object} options
+   * @param {string} options.prompt - Ask this instead of the configured naming prompt
+   */
+  async analyzeImage(imagePath, options = {}) {
     try {
       // Read the image file
       const imageBuffer = fs.readFileSync(imagePath);
@@ -34,12 +43,7 @@ class LMStudioVisionAnalyzer {
       const base64Image = imageBuffer.toString('base64');
       
       // Prepare the prompt for naming
-      const prompt = `Analyze this image and provide a short, descriptive filename (without extension) that would be suitable for organizing this image. 
-      Focus on the main subject, action, or content of the image. 
-      Use clear, simple words separated by underscores.
-      Examples: "login_screen", "dashboard_overview", "error_message", "user_profile", "mobile_menu"
-      Keep it under 50 characters and avoid special characters.
-      Just respond with the filename, nothing else.`;
+      const prompt = options.prompt || getNamingPrompt(this.config);
 
       // Prepare the request payload for LM Studio
       const requestBody = {
@@ -69,6 +73,22 @@ class LMStudioVisionAnalyzer {
         stop: ["\n", ".", "!"]   // Stop on common sentence endings
       };
 
+      // Several candidates come one per line, so newlines can't end the answer
+      const candidates = this.config.candidateCount || 1;
+      if (candidates > 1) {
+        requestBody.max_tokens *= candidates;
+        delete requestBody.stop;
+      }
+
+      if (this.config.structuredAnalysis) {
+        requestBody.max_tokens = Math.max(requestBody.max_tokens, STRUCTURED_MAX_TOKENS);
+        requestBody.response_format = {
+          type: 'json_schema',
+          json_schema: { name: 'screenshot_analysis', strict: true, schema: ANALYSIS_JSON_SCHEMA }
+        };
+        delete requestBody.stop; // JSON spans lines and sentences
+      }
+
       // Make the API call to LM Studio
       const response = await fetch(`${this.baseUrl}/v1/chat/completions`, {
         method: 'POST',
@@ -79,26 +99,30 @@ class LMStudioVisionAnalyzer {
       });
 
       if (!response.ok) {
-        throw new Error(`LM Studio API error: ${response.status} ${response.statusText}`);
+        throw Object.assign(new Error(`LM Studio API error: ${response.status} ${response.statusText}`), {
+          status: response.status,
+          retryAfter: response.headers.get('retry-after')
+        });
       }
 
       const data = await response.json();
       
       if (!data.choices || data.choices.length === 0) {
-        throw new Error('No response from LM Studio');
+        throw Object.assign(new Error('No response from LM Studio'), { retryable: true });
       }
 
       const text = data.choices[0].message.content.trim();
-      const cleanedText = cleanFilename(text);
+      const analysis = this.config.structuredAnalysis
+        ? parseStructuredAnalysis(text, this.config)
+        : createAnalysis(text, this.config);
       
-      logger.debug(`AI Analysis: "${cleanedText}"`);
-      return cleanedText;
+      logger.debug(`AI Analysis: "${analysis.name}"`);
+      return analysis;
 
     } catch (error) {
-      logger.error('Error analyzing image with LM Studio:', error);
-      
-      // Fallback to timestamp-based naming
-      return getFallbackName(imagePath);
+      // RetryingAnalyzer decides whether to try again or fall back
+      logger.debug('Error analyzing image with LM Studio', { error: error.message });
+      throw error;
     }
   }
 
@@ -2,6 +2,12 @@ const pino = require('pino');
 const os = require('os');
 const path = require('path');
 
+// Credentials, top-level and in per-folder overrides, kept out of logged configurations
+const REDACT_PATHS = ['geminiApiKey', 'openaiApiKey', 'openaiHeaders'].flatMap(key => [
+  `config.${key}`,
+  `config.watchFolders[*].${key}`
+]);
+
 class Logger {
   constructor() {
     this.logger = null;
@@ -18,6 +24,10 @@ class Logger {
     const options = {
       level: logLevel,
       timestamp: pino.stdTimeFunctions.isoTime,
+      redact: {
+        paths: REDACT_PATHS,
+        censor: '[redacted]'
+      }
     };
 
     // Configure output based on environment
@@ -78,6 +88,10 @@ class Logger {
     }
   }
 
+  setLevel(level) {
+    this.logger.level = level;
+  }
+
   // Convenience methods
   debug(message, meta = {}) {
     this.logger.debug(meta, message);
@@ -139,4 +153,6 @@ class Logger {
 }
 
 // Export singleton instance
+Logger.REDACT_PATHS = REDACT_PATHS;
+
 module.exports = new Logger();
\ No newline at end of file
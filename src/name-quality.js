@@ -0,0 +1,80 @@
+const PromptBuilder = require('./prompt-builder');
+const { splitWords } = require('./naming-style');
+
+/**
+ * Heuristics for names too vague to keep. A name fails when it:
+ *
+ *   - has fewer than nameMinWords words (default 2)
+ *   - consists only of deny-listed words, such as "analyzed_image" or "app_window"
+ *   - merely repeats one of the prompt's example filenames
+ *
+ * The deny-list is GENERIC_WORDS plus anything in nameDenyList.
+ */
+
+const GENERIC_WORDS = [
+  'image', 'img', 'screenshot', 'screen', 'shot', 'picture', 'pic', 'photo', 'file',
+  'untitled', 'analyzed', 'unnamed', 'window', 'app', 'application', 'ui', 'view',
+  'overview', 'display', 'content', 'interface', 'page', 'misc', 'thing', 'stuff'
+];
+
+/**
+ * Words that never make a name on their own
+ * @param {Object} settings - Configuration (nameDenyList)
+ * @returns {string[]} Lowercase words
+ */
+function getDenyList(settings = {}) {
+  const extra = (settings.nameDenyList || []).flatMap(entry => splitWords(entry, true));
+  return [...new Set([...GENERIC_WORDS, ...extra])];
+}
+
+/**
+ * Whether every word of a name is deny-listed (an empty name counts too)
+ * @param {string} name - Name in any naming style
+ * @param {Object} settings - Configuration (nameDenyList)
+ */
+function isGenericName(name, settings = {}) {
+  const denyList = new Set(getDenyList(settings));
+  return splitWords(name, true).every(word => denyList.has(word));
+}
+
+/**
+ * What is wrong with a name, if anything
+ * @param {string} name - Cleaned name from an analysis
+ * @param {Object} settings - Configuration (nameDenyList, nameMinWords, promptVariables)
+ * @returns {string[]} Problems, empty when the name will do
+ */
+function checkNameQuality(name, settings = {}) {
+  const problems = [];
+  const words = splitWords(name, true);
+  const minWords = settings.nameMinWords || 2;
+
+  // Scripts written without spaces count roughly two characters to a word
+  const wordCount = /^[\x00-\x7f]*$/.test(name)
+    ? words.length
+    : Math.max(words.length, Math.floor(Array.from(words.join('')).length / 2));
+
+  if (wordCount < minWords) {
+    problems.push(`fewer than ${minWords} words`);
+  }
+
+  if (isGenericName(name, settings)) {
+    problems.push('only generic words');
+  }
+
+  const examples = [].concat((settings.promptVariables && settings.promptVariables.examples)
+    || PromptBuilder.DEFAULT_VARIABLES.examples);
+  const key = words.join('_');
+  const echoed = examples.find(example => splitWords(example, true).join('_') === key);
+  if (key && echoed) {
+    problems.push(`copies the example "${echoed}"`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  GENERIC_WORDS,
+  getDenyList,
+  isGenericName,
+  checkNameQuality
+};
@@ -0,0 +1,92 @@
+const { splitWords } = require('./naming-style');
+const { GENERIC_WORDS } = require('./name-quality');
+
+/**
+ * Scores candidate names so the most telling one wins. Higher is better:
+ *
+ *   specificity  +1 per distinct meaningful word (up to 5), +0.5 for a number or version
+ *   length       -1 below 8 characters, -1 per word beyond 6, a little for every character past 40
+ *   generic      -1.5 per generic word such as "screenshot" or "overview"; -5 if that's all there is
+ *   uniqueness   -2 when a file of that name already sits in the folder
+ *
+ * Ties go to the model's own order, so the first candidate wins unless
+ * another is clearly better.
+ */
+
+const STOP_WORDS = ['a', 'an', 'the', 'of', 'and', 'or', 'with', 'in', 'on', 'for', 'to', 'at', 'by'];
+
+/**
+ * Base name for uniqueness comparisons: lowercase, without extension or collision counter
+ * @param {string} fileName - File name or base name
+ * @returns {string}
+ */
+function comparableName(fileName) {
+  return String(fileName).replace(/\.[^.]+$/, '').replace(/_\d+$/, '').toLowerCase();
+}
+
+/**
+ * Score one candidate
+ * @param {string} name - Cleaned candidate name
+ * @param {Object} context
+ * @param {Set<string>} context.existingNames - Comparable names of files already in the folder
+ * @param {string[]} context.genericWords - Words that say nothing about an image (the deny-list)
+ * @returns {{name: string, score: number, reasons: string[]}}
+ */
+function scoreName(name, context = {}) {
+  const genericWords = new Set((context.genericWords || GENERIC_WORDS).map(word => word.toLowerCase()));
+  const words = splitWords(name, true);
+  const meaningful = [...new Set(words.filter(word => !genericWords.has(word) && !STOP_WORDS.includes(word)))];
+  const generic = words.filter(word => genericWords.has(word));
+  const length = Array.from(name).length;
+  const reasons = [];
+  let score = 0;
+
+  score += Math.min(meaningful.length, 5);
+  if (words.some(word => /\d/.test(word))) {
+    score += 0.5;
+  }
+
+  if (length < 8) {
+    score -= 1;
+    reasons.push('short');
+  }
+  if (words.length > 6) {
+    score -= words.length - 6;
+    reasons.push('wordy');
+  }
+  if (length > 40) {
+    score -= (length - 40) * 0.05;
+  }
+
+  if (generic.length > 0) {
+    score -= meaningful.length === 0 ? 5 : generic.length * 1.5;
+    reasons.push(`generic: ${generic.join(', ')}`);
+  }
+
+  if (context.existingNames && context.existingNames.has(comparableName(name))) {
+    score -= 2;
+    reasons.push('already in folder');
+  }
+
+  return { name, score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Rank candidate names, best first; duplicates and empty names are dropped
+ * @param {string[]} names - Cleaned candidates in the model's order of preference
+ * @param {Object} context - See scoreName
+ * @returns {Array<{name: string, score: number, reasons: string[]}>}
+ */
+function rankCandidates(names, context = {}) {
+  const unique = [...new Set(names.filter(Boolean))];
+  return unique
+    .map((name, index) => ({ ...scoreName(name, context), index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index, ...ranked }) => ranked);
+}
+
+module.exports = {
+  comparableName,
+  scoreName,
+  rankCandidates
+};
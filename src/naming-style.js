@@ -0,0 +1,101 @@
+const securityUtils = require('./security-utils');
+
+/**
+ * Turns a description into a file name in the chosen style:
+ *
+ *   snake_case      login_page_error
+ *   kebab-case      login-page-error
+ *   camelCase       loginPageError
+ *   Title Case      Login Page Error
+ *   sentence case   Login page error
+ *
+ * Without Unicode mode accents are folded (café → cafe) and other scripts
+ * are dropped; with it, accented and CJK characters are kept as they are.
+ */
+
+const NAMING_STYLES = ['snake_case', 'kebab-case', 'camelCase', 'Title Case', 'sentence case'];
+const DEFAULT_STYLE = 'snake_case';
+const DEFAULT_MAX_LENGTH = 50;
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const STYLE_FORMATTERS = {
+  'snake_case': (words) => words.join('_'),
+  'kebab-case': (words) => words.join('-'),
+  'camelCase': (words) => words.map((word, index) => (index === 0 ? word : capitalize(word))).join(''),
+  'Title Case': (words) => words.map(capitalize).join(' '),
+  'sentence case': (words) => words.map((word, index) => (index === 0 ? capitalize(word) : word)).join(' ')
+};
+
+/**
+ * Break a description into lowercase words
+ * @param {string} text - Description from the analyzer, in any style
+ * @param {boolean} unicode - Keep non-ASCII letters instead of folding or dropping them
+ * @returns {string[]} Words
+ */
+function splitWords(text, unicode = false) {
+  let normalized = String(text || '')
+    .trim()
+    .replace(/^["'`]+|["'`]+$/g, '') // Drop quotes around the answer
+    .replace(/\.(png|jpe?g|gif|webp|heic|tiff?)$/i, '') // Drop an extension the model may have added
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2'); // Split camelCase
+
+  if (unicode) {
+    normalized = normalized.normalize('NFC');
+  } else {
+    normalized = normalized.normalize('NFD').replace(/\p{M}/gu, '');
+  }
+
+  const wordPattern = unicode ? /[\p{L}\p{N}\p{M}]+/gu : /[A-Za-z0-9]+/g;
+  return (normalized.match(wordPattern) || []).map(word => word.toLowerCase());
+}
+
+/**
+ * Whether a language is English, in which case ASCII names are the default
+ * @param {string} language - e.g. "English", "en-GB", "German", "日本語"
+ */
+function isEnglish(language) {
+  return !language || /^en(glish)?([-_\s].*)?$/i.test(language.trim());
+}
+
+/**
+ * Whether names should keep non-ASCII characters: when asked to, or
+ * whenever they are written in a language other than English
+ * @param {Object} settings - Configuration with unicodeFilenames and outputLanguage
+ */
+function usesUnicode(settings = {}) {
+  return Boolean(settings.unicodeFilenames) || !isEnglish(settings.outputLanguage);
+}
+
+/**
+ * Format a description as a file name (without extension)
+ * @param {string} text - Description from the analyzer
+ * @param {Object} options
+ * @param {string} options.style - One of NAMING_STYLES
+ * @param {boolean} options.unicode - Keep accented and CJK characters
+ * @param {number} options.maxLength - Longest name, in characters (default 50)
+ * @returns {string} Filesystem-safe name, or '' when nothing usable remains
+ */
+function applyNamingStyle(text, options = {}) {
+  const words = splitWords(text, options.unicode);
+  if (words.length === 0) {
+    return '';
+  }
+
+  const format = STYLE_FORMATTERS[options.style] || STYLE_FORMATTERS[DEFAULT_STYLE];
+  const name = Array.from(format(words))
+    .slice(0, options.maxLength || DEFAULT_MAX_LENGTH)
+    .join('')
+    .replace(/[\s_-]+$/, ''); // Don't end on a separator cut in half
+
+  return securityUtils.sanitizeFilename(name, { preserveCase: true, preserveSpaces: true });
+}
+
+module.exports = {
+  NAMING_STYLES,
+  DEFAULT_STYLE,
+  splitWords,
+  isEnglish,
+  usesUnicode,
+  applyNamingStyle
+};
@@ -0,0 +1,218 @@
+// Perceptual hashing for spotting near-identical screenshots
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { executeFile } = require('./utils/macos-helpers');
+
+// dHash compares each cell with its right-hand neighbour on a 9x8 grid → 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Parse a PNG and hand each unfiltered scanline to a callback
+ * @param {Buffer} buffer - PNG file contents
+ * @param {Function} onRow - Called with (y, row, header) for every scanline
+ * @returns {Object} Header: width, height, bitDepth, colorType, palette
+ */
+function readPngRows(buffer, onRow) {
+  if (buffer.length < 8 || buffer.readUInt32BE(0) !== 0x89504e47) {
+    throw new Error('Not a PNG file');
+  }
+
+  const header = { palette: null };
+  const compressed = [];
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      header.width = data.readUInt32BE(0);
+      header.height = data.readUInt32BE(4);
+      header.bitDepth = data[8];
+      header.colorType = data[9];
+      header.interlaced = data[12] === 1;
+    } else if (type === 'PLTE') {
+      header.palette = data;
+    } else if (type === 'IDAT') {
+      compressed.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+
+    offset += 12 + length;
+  }
+
+  const channels = PNG_CHANNELS[header.colorType];
+  if (!channels || header.interlaced || (header.bitDepth !== 8 && header.bitDepth !== 16)) {
+    throw new Error('Unsupported PNG encoding');
+  }
+
+  const bytesPerPixel = channels * (header.bitDepth / 8);
+  const stride = header.width * bytesPerPixel;
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  let previous = Buffer.alloc(stride);
+  let current = Buffer.alloc(stride);
+
+  for (let y = 0, pos = 0; y < header.height; y++, pos += stride + 1) {
+    const filter = raw[pos];
+    const line = raw.subarray(pos + 1, pos + 1 + stride);
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value = line[i];
+
+      switch (filter) {
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          value += pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+          break;
+        }
+        default: break;
+      }
+
+      current[i] = value & 0xff;
+    }
+
+    onRow(y, current, header);
+    [previous, current] = [current, previous];
+  }
+
+  return header;
+}
+
+/**
+ * Luminance of one PNG pixel, composited over white when it has alpha
+ */
+function pngPixelGray(row, x, header) {
+  const { colorType, bitDepth, palette } = header;
+  const step = bitDepth / 8; // Use the high byte of 16-bit samples
+  const channels = PNG_CHANNELS[colorType];
+  const base = x * channels * step;
+  const sample = (index) => row[base + index * step];
+
+  let r, g, b, alpha = 255;
+  if (colorType === 3) {
+    const index = sample(0) * 3;
+    [r, g, b] = palette ? [palette[index], palette[index + 1], palette[index + 2]] : [0, 0, 0];
+  } else if (colorType === 0 || colorType === 4) {
+    r = g = b = sample(0);
+    if (colorType === 4) alpha = sample(1);
+  } else {
+    [r, g, b] = [sample(0), sample(1), sample(2)];
+    if (colorType === 6) alpha = sample(3);
+  }
+
+  const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+  return (gray * alpha + 255 * (255 - alpha)) / 255;
+}
+
+/**
+ * Downscale a PNG to a grayscale grid by averaging each cell
+ */
+function pngToGrid(buffer, gridWidth, gridHeight) {
+  const sums = new Float64Array(gridWidth * gridHeight);
+  const counts = new Uint32Array(gridWidth * gridHeight);
+
+  readPngRows(buffer, (y, row, header) => {
+    const cellY = Math.min(gridHeight - 1, Math.floor(y * gridHeight / header.height));
+    for (let x = 0; x < header.width; x++) {
+      const cell = cellY * gridWidth + Math.min(gridWidth - 1, Math.floor(x * gridWidth / header.width));
+      sums[cell] += pngPixelGray(row, x, header);
+      counts[cell]++;
+    }
+  });
+
+  return Array.from(sums, (sum, index) => (counts[index] ? sum / counts[index] : 0));
+}
+
+/**
+ * Downscale any image macOS understands via sips, read back as a BMP
+ */
+function sipsToGrid(filePath, gridWidth, gridHeight) {
+  const tempPath = path.join(os.tmpdir(), `screenshot-renamer-${crypto.randomUUID()}.bmp`);
+
+  try {
+    executeFile('sips', ['-s', 'format', 'bmp', '-z', String(gridHeight), String(gridWidth), filePath, '--out', tempPath]);
+    const bmp = fs.readFileSync(tempPath);
+    const dataOffset = bmp.readUInt32LE(10);
+    const width = bmp.readInt32LE(18);
+    const rawHeight = bmp.readInt32LE(22);
+    const height = Math.abs(rawHeight);
+    const bytesPerPixel = bmp.readUInt16LE(28) / 8;
+    const rowSize = Math.ceil((width * bytesPerPixel) / 4) * 4;
+    const grid = [];
+
+    for (let y = 0; y < height; y++) {
+      // Rows are stored bottom-up unless the height is negative
+      const row = rawHeight > 0 ? height - 1 - y : y;
+      for (let x = 0; x < width; x++) {
+        const pos = dataOffset + row * rowSize + x * bytesPerPixel;
+        grid.push(0.299 * bmp[pos + 2] + 0.587 * bmp[pos + 1] + 0.114 * bmp[pos]);
+      }
+    }
+
+    return grid;
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * Difference hash (dHash) of an image: 64 bits as 16 hex characters.
+ * PNGs are decoded directly; other formats need macOS's sips.
+ * @param {string} filePath - Image to hash
+ * @returns {Promise<string>} Hash
+ */
+async function computeDHash(filePath) {
+  let grid;
+  if (path.extname(filePath).toLowerCase() === '.png') {
+    grid = pngToGrid(await fs.promises.readFile(filePath), HASH_WIDTH, HASH_HEIGHT);
+  } else if (process.platform === 'darwin') {
+    grid = sipsToGrid(filePath, HASH_WIDTH, HASH_HEIGHT);
+  } else {
+    throw new Error('Perceptual hashing of non-PNG images requires macOS');
+  }
+
+  let bits = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      bits += grid[y * HASH_WIDTH + x] > grid[y * HASH_WIDTH + x + 1] ? '1' : '0';
+    }
+  }
+
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hashes (0 = identical, 64 = opposite)
+ */
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+module.exports = {
+  computeDHash,
+  hammingDistance,
+  readPngRows
+};
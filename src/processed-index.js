@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const logger = require('./logger');
+const { hashFile } = require('./utils/file-hash');
+const { executeFile } = require('./utils/macos-helpers');
+
+const XATTR_NAME = 'com.screenshot-renamer.processed';
+
+/**
+ * Remembers processed images by content hash, so re-adds, moves back into
+ * a watched folder and sync-tool churn never trigger a second analysis.
+ * Optionally mirrors the marker in an extended attribute that travels
+ * with the file. The index is read once and written after each change;
+ * it is only read again when another process (a batch rename) wrote it.
+ */
+class ProcessedIndex {
+  /**
+   * @param {string} indexPath - Location of the index file
+   * @param {Object} options
+   * @param {number} options.maxEntries - Oldest entries beyond this are forgotten
+   */
+  constructor(indexPath = config.getStatePath('processed-index.json'), options = {}) {
+    this.indexPath = indexPath;
+    this.maxEntries = options.maxEntries || 20000;
+    this.isMacOS = process.platform === 'darwin';
+    this.files = {};
+    this.loadedMtime = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.indexPath)) {
+        const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        this.files = data.files || {};
+      }
+    } catch (error) {
+      logger.error(`Failed to read processed index: ${this.indexPath}`, error);
+      this.files = {};
+    }
+    this.loadedMtime = this.getMtime();
+  }
+
+  save() {
+    try {
+      const tempPath = `${this.indexPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, files: this.files }));
+      fs.renameSync(tempPath, this.indexPath);
+      this.loadedMtime = this.getMtime();
+      return true;
+    } catch (error) {
+      logger.error(`Failed to write processed index: ${this.indexPath}`, error);
+      return false;
+    }
+  }
+
+  getMtime() {
+    try {
+      return fs.statSync(this.indexPath).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Read the index again only if another process has written it since
+  refresh() {
+    if (this.getMtime() !== this.loadedMtime) {
+      this.load();
+    }
+  }
+
+  /**
+   * Whether a file has been processed before, by marker or content hash
+   * @param {string} filePath - Image to check
+   * @param {Object} options
+   * @param {boolean} options.useXattr - Also honour the extended attribute marker
+   * @returns {Promise<boolean>}
+   */
+  async isProcessed(filePath, options = {}) {
+    if (options.useXattr && this.readXattr(filePath)) {
+      return true;
+    }
+
+    try {
+      const hash = await hashFile(filePath);
+      this.refresh();
+      return Boolean(this.files[hash]);
+    } catch (error) {
+      logger.debug(`Could not hash file: ${filePath}`, { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Remember a file as processed
+   * @param {string} filePath - File in its final location
+   * @param {Object} options
+   * @param {boolean} options.useXattr - Also write the extended attribute marker
+   * @param {string} options.originalName - Name before renaming
+   */
+  async markProcessed(filePath, options = {}) {
+    let hash;
+    try {
+      hash = await hashFile(filePath);
+    } catch (error) {
+      logger.error(`Could not hash processed file: ${filePath}`, error);
+      return null;
+    }
+
+    this.refresh();
+    this.files[hash] = {
+      name: path.basename(filePath),
+      originalName: options.originalName,
+      processedAt: new Date().toISOString()
+    };
+    this.prune();
+    this.save();
+
+    if (options.useXattr) {
+      this.writeXattr(filePath, hash);
+    }
+
+    return hash;
+  }
+
+  /**
+   * Forget a file, as when undo gives it back its original name, so it can
+   * be named again later
+   * @param {string} filePath - File to forget
+   * @returns {Promise<boolean>} Whether the index knew it
+   */
+  async unmarkProcessed(filePath) {
+    let hash;
+    try {
+      hash = await hashFile(filePath);
+    } catch (error) {
+      logger.debug(`Could not hash file: ${filePath}`, { error: error.message });
+      return false;
+    }
+
+    if (this.readXattr(filePath)) {
+      this.removeXattr(filePath);
+    }
+
+    this.refresh();
+    if (!this.files[hash]) {
+      return false;
+    }
+    delete this.files[hash];
+    this.save();
+    return true;
+  }
+
+  prune() {
+    const hashes = Object.keys(this.files);
+    const excess = hashes.length - this.maxEntries;
+    if (excess <= 0) return;
+
+    hashes
+      .sort((a, b) => String(this.files[a].processedAt).localeCompare(String(this.files[b].processedAt)))
+      .slice(0, excess)
+      .forEach(hash => delete this.files[hash]);
+  }
+
+  readXattr(filePath) {
+    if (!this.isMacOS) return null;
+
+    try {
+      return executeFile('xattr', ['-p', XATTR_NAME, filePath], { encoding: 'utf8' }).trim() || null;
+    } catch (error) {
+      return null; // Attribute not set
+    }
+  }
+
+  writeXattr(filePath, value) {
+    if (!this.isMacOS) return false;
+
+    try {
+      executeFile('xattr', ['-w', XATTR_NAME, value, filePath]);
+      return true;
+    } catch (error) {
+      logger.warn(`Could not write processed marker to ${path.basename(filePath)}`, { error: error.message });
+      return false;
+    }
+  }
+
+  removeXattr(filePath) {
+    if (!this.isMacOS) return false;
+
+    try {
+      executeFile('xattr', ['-d', XATTR_NAME, filePath]);
+      return true;
+    } catch (error) {
+      logger.warn(`Could not remove processed marker from ${path.basename(filePath)}`, { error: error.message });
+      return false;
+    }
+  }
+}
+
+ProcessedIndex.XATTR_NAME = XATTR_NAME;
+
+module.exports = ProcessedIndex;
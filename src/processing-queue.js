@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+const JOB_STATES = ['pending', 'analyzing', 'waiting', 'renamed', 'held', 'skipped', 'failed'];
+const ACTIVE_STATES = ['pending', 'analyzing', 'waiting'];
+
+/**
+ * Durable on-disk job queue so files survive crashes and restarts.
+ * Jobs move pending → analyzing → renamed | held (for review) | skipped |
+ * failed, or to waiting while no provider can be reached; anything still pending, analyzing or waiting at
+ * startup is replayed.
+ */
+class ProcessingQueue {
+  /**
+   * @param {string} queuePath - Location of the queue file
+   * @param {Object} options
+   * @param {number} options.maxFinishedJobs - Finished jobs kept for inspection
+   */
+  constructor(queuePath = config.getStatePath('queue.json'), options = {}) {
+    this.queuePath = queuePath;
+    this.maxFinishedJobs = options.maxFinishedJobs || 200;
+    this.jobs = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.queuePath)) {
+        const data = JSON.parse(fs.readFileSync(this.queuePath, 'utf8'));
+        this.jobs = Array.isArray(data.jobs) ? data.jobs : [];
+      }
+    } catch (error) {
+      logger.error(`Failed to read processing queue: ${this.queuePath}`, error);
+      this.jobs = [];
+    }
+  }
+
+  save() {
+    try {
+      // Write to a temporary file first so a crash never leaves a truncated queue
+      const tempPath = `${this.queuePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, jobs: this.jobs }, null, 2));
+      fs.renameSync(tempPath, this.queuePath);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to write processing queue: ${this.queuePath}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Add a file to the queue, or return its existing active job
+   * @param {string} filePath - File to process
+   * @param {Object} details - Extra job fields (e.g. profile name)
+   * @returns {Object} Queued job
+   */
+  enqueue(filePath, details = {}) {
+    const existing = this.getActiveJob(filePath);
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      filePath,
+      ...details,
+      state: 'pending',
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.push(job);
+    this.prune();
+    this.save();
+    logger.debug('Job queued', { id: job.id, file: path.basename(filePath) });
+    return job;
+  }
+
+  update(id, changes) {
+    const job = this.jobs.find(item => item.id === id);
+    if (!job) {
+      return null;
+    }
+
+    if (changes.state && !JOB_STATES.includes(changes.state)) {
+      throw new Error(`Unknown job state: ${changes.state}`);
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return job;
+  }
+
+  markAnalyzing(id) {
+    const job = this.jobs.find(item => item.id === id);
+    return this.update(id, { state: 'analyzing', attempts: job ? job.attempts + 1 : 1 });
+  }
+
+  markRenamed(id, newPath) {
+    return this.update(id, { state: 'renamed', newPath, error: undefined });
+  }
+
+  // Held for review rather than renamed; newPath is set when the file was moved aside
+  markHeld(id, newPath) {
+    return this.update(id, { state: 'held', newPath, error: undefined });
+  }
+
+  markSkipped(id, reason) {
+    return this.update(id, { state: 'skipped', error: reason });
+  }
+
+  // Held with its original name until a provider answers again
+  markWaiting(id, reason) {
+    return this.update(id, { state: 'waiting', error: reason });
+  }
+
+  markFailed(id, error) {
+    return this.update(id, { state: 'failed', error: error instanceof Error ? error.message : error });
+  }
+
+  getActiveJob(filePath) {
+    return this.jobs.find(job => job.filePath === filePath && ACTIVE_STATES.includes(job.state)) || null;
+  }
+
+  /**
+   * Jobs interrupted by a stop or crash, or waiting for a provider, oldest first
+   */
+  getReplayableJobs() {
+    return this.jobs.filter(job => ACTIVE_STATES.includes(job.state));
+  }
+
+  getWaitingJobs() {
+    return this.jobs.filter(job => job.state === 'waiting');
+  }
+
+  getCounts() {
+    const counts = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+    for (const job of this.jobs) {
+      counts[job.state] = (counts[job.state] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // Drop the oldest finished jobs beyond the retention limit
+  prune() {
+    const finished = this.jobs.filter(job => !ACTIVE_STATES.includes(job.state));
+    const excess = finished.length - this.maxFinishedJobs;
+    if (excess > 0) {
+      const dropped = new Set(finished.slice(0, excess).map(job => job.id));
+      this.jobs = this.jobs.filter(job => !dropped.has(job.id));
+    }
+  }
+}
+
+ProcessingQueue.JOB_STATES = JOB_STATES;
+
+module.exports = ProcessingQueue;
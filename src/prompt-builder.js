@@ -0,0 +1,285 @@
+const { isEnglish } = require('./naming-style');
+
+/**
+ * Builds the naming prompt shared by every analyzer from a named template
+ * and its variables. Templates come built in or from `promptTemplates` in
+ * the configuration; `{{variable}}` placeholders are filled from
+ * `promptVariables` and a few settings:
+ *
+ *   {{maxLength}}  longest filename to ask for (default 50)
+ *   {{examples}}   example filenames, quoted and comma-separated
+ *   {{glossary}}   project terms the model should prefer
+ *   {{language}}   outputLanguage
+ *   {{style}}      namingStyle
+ *
+ * A line whose placeholders all come out empty is left out, so optional
+ * lines such as the glossary disappear when unused.
+ */
+
+const DEFAULT_TEMPLATE_NAME = 'default';
+
+const BUILT_IN_TEMPLATES = {
+  default: [
+    'Analyze this image and provide a short, descriptive filename (without extension) that would be suitable for organizing this image.',
+    'Focus on the main subject, action, or content of the image.',
+    'Use clear, simple words separated by underscores.',
+    'Examples: {{examples}}',
+    'Prefer these project terms where they apply: {{glossary}}',
+    'Keep it under {{maxLength}} characters and avoid special characters.',
+    'Just respond with the filename, nothing else.'
+  ].join('\n'),
+  concise: [
+    'Name this screenshot in at most five words, separated by underscores.',
+    'Examples: {{examples}}',
+    'Prefer these project terms where they apply: {{glossary}}',
+    'Keep it under {{maxLength}} characters. Respond with the filename only.'
+  ].join('\n'),
+  detailed: [
+    'Analyze this screenshot and name it so it can be found again months from now.',
+    'Mention the application or website, the screen or page shown, and anything notable such as an error or a chart.',
+    'Use clear, simple words separated by underscores, most important first.',
+    'Examples: {{examples}}',
+    'Prefer these project terms where they apply: {{glossary}}',
+    'Keep it under {{maxLength}} characters and avoid special characters.',
+    'Just respond with the filename, nothing else.'
+  ].join('\n')
+};
+
+const DEFAULT_VARIABLES = {
+  maxLength: 50,
+  examples: ['login_screen', 'dashboard_overview', 'error_message', 'user_profile', 'mobile_menu'],
+  glossary: []
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Appended in structured analysis mode, where the model answers in JSON
+const STRUCTURED_INSTRUCTIONS = [
+  'Instead of the bare filename, respond with a JSON object with these fields:',
+  '- name: the filename described above',
+  '- description: one sentence describing the image',
+  '- tags: three to six short lowercase keywords',
+  '- category: one lowercase word for the kind of image, such as code, chat, document, error, design, website, terminal, chart or photo',
+  '- detectedApp: the application or website shown, or null if unclear',
+  '- confidence: a number from 0 to 1 for how well the name fits the image'
+].join('\n');
+
+class PromptBuilder {
+  /**
+   * @param {Object} settings - Configuration (or a watch profile's merged configuration)
+   */
+  constructor(settings = {}) {
+    this.settings = settings;
+  }
+
+  /**
+   * Names of all available templates, built-in and custom
+   */
+  getTemplateNames() {
+    return [...new Set([...Object.keys(BUILT_IN_TEMPLATES), ...Object.keys(this.settings.promptTemplates || {})])];
+  }
+
+  /**
+   * Text of a template: a custom one of that name, else the built-in
+   * @param {string} name - Template name
+   * @returns {string|undefined} Template text
+   */
+  getTemplate(name) {
+    const custom = this.settings.promptTemplates || {};
+    return custom[name] !== undefined ? custom[name] : BUILT_IN_TEMPLATES[name];
+  }
+
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, name);
+  }
+
+  isCustomized(name) {
+    return Object.prototype.hasOwnProperty.call(this.settings.promptTemplates || {}, name);
+  }
+
+  /**
+   * Template in use. A raw per-folder `prompt` takes precedence over the named template.
+   */
+  getActiveTemplate() {
+    if (this.settings.prompt) {
+      return this.settings.prompt;
+    }
+    return this.getTemplate(this.settings.promptTemplate || DEFAULT_TEMPLATE_NAME)
+      || BUILT_IN_TEMPLATES[DEFAULT_TEMPLATE_NAME];
+  }
+
+  /**
+   * Variable values, as they will appear in the prompt
+   * @returns {Object} Name → string
+   */
+  getVariables() {
+    const variables = { ...DEFAULT_VARIABLES, ...(this.settings.promptVariables || {}) };
+    const values = {
+      language: this.settings.outputLanguage || 'English',
+      style: this.settings.namingStyle || 'snake_case'
+    };
+
+    for (const [name, value] of Object.entries(variables)) {
+      if (name === 'examples') {
+        values.examples = [].concat(value).map(example => `"${example}"`).join(', ');
+      } else {
+        values[name] = Array.isArray(value) ? value.join(', ') : String(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Placeholders a template refers to
+   * @param {string} template - Template text
+   * @returns {string[]} Variable names
+   */
+  static getPlaceholders(template) {
+    return [...String(template).matchAll(PLACEHOLDER)].map(match => match[1]);
+  }
+
+  /**
+   * Fill in a template's placeholders
+   * @param {string} template - Template text
+   * @param {Object} values - From getVariables()
+   * @returns {string} Prompt
+   */
+  static render(template, values) {
+    return String(template)
+      .split('\n')
+      .filter(line => {
+        const names = PromptBuilder.getPlaceholders(line);
+        return names.length === 0 || names.some(name => values[name]);
+      })
+      .map(line => line.replace(PLACEHOLDER, (placeholder, name) => (name in values ? values[name] : placeholder)))
+      .join('\n')
+      .trim();
+  }
+
+  /**
+   * The prompt to send with every image. When the template doesn't mention
+   * {{language}} and names should be in another language, the model is told so;
+   * in structured analysis mode it is asked for JSON, and with candidateCount
+   * above one for several names.
+   * @returns {string} Prompt
+   */
+  build() {
+    const template = this.getActiveTemplate();
+    const values = this.getVariables();
+    let prompt = PromptBuilder.render(template, values);
+
+    if (!isEnglish(values.language) && !PromptBuilder.getPlaceholders(template).includes('language')) {
+      prompt += `\nWrite the filename in ${values.language}, even though the examples are in English.`;
+    }
+
+    const candidates = this.settings.candidateCount || 1;
+    if (this.settings.structuredAnalysis) {
+      prompt += `\n${STRUCTURED_INSTRUCTIONS}`;
+      if (candidates > 1) {
+        prompt += `\n- alternatives: ${candidates - 1} other filenames for the same image, each worded differently from name`;
+      } else {
+        prompt += '\n- alternatives: an empty list';
+      }
+    } else if (candidates > 1) {
+      prompt += `\nInstead of one filename, give ${candidates} different filenames, one per line, the best first. Vary the wording and detail, not just the word order.`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * A more demanding prompt for when the first answer was too vague
+   * @param {string} rejected - The rejected name
+   * @param {string[]} problems - What was wrong with it
+   * @param {string[]} avoidWords - Words the new name must not lean on
+   * @returns {string} Prompt
+   */
+  buildFollowUp(rejected, problems, avoidWords = []) {
+    const lines = [
+      this.build(),
+      '',
+      `A previous answer, "${rejected}", was rejected: ${problems.join('; ')}.`,
+      'Look at the image again and name what is particular to it: the application or website, the page, document or dialog shown, and any visible title, product, person or error.'
+    ];
+    if (avoidWords.length > 0) {
+      lines.push(`Do not use these words unless they are part of a title: ${avoidWords.join(', ')}.`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Check the active template and its variables
+   * @returns {string[]} Error messages, empty when valid
+   */
+  validate() {
+    const errors = [];
+    const name = this.settings.promptTemplate || DEFAULT_TEMPLATE_NAME;
+
+    if (!this.settings.prompt && this.getTemplate(name) === undefined) {
+      errors.push(`Unknown prompt template "${name}". Available: ${this.getTemplateNames().join(', ')}`);
+      return errors;
+    }
+
+    const values = this.getVariables();
+    const unknown = PromptBuilder.getPlaceholders(this.getActiveTemplate()).filter(variable => !(variable in values));
+    for (const variable of new Set(unknown)) {
+      errors.push(`Prompt template uses unknown variable {{${variable}}}. Define it under promptVariables.`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Configuration changes that reset prompts
+   * @param {Object} settings - Current configuration
+   * @param {string} name - Template to restore; everything when omitted
+   * @returns {Object} Updates for config.update()
+   */
+  static reset(settings, name) {
+    if (!name) {
+      return { promptTemplate: DEFAULT_TEMPLATE_NAME, promptTemplates: {}, promptVariables: {} };
+    }
+
+    const promptTemplates = { ...(settings.promptTemplates || {}) };
+    delete promptTemplates[name];
+    const updates = { promptTemplates };
+    if (settings.promptTemplate === name && !Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, name)) {
+      updates.promptTemplate = DEFAULT_TEMPLATE_NAME;
+    }
+    return updates;
+  }
+
+  /**
+   * Parse a "name=value" variable assignment. Lists (examples, glossary) are
+   * comma-separated, maxLength is a number, and an empty value removes the variable.
+   * @param {string} assignment - e.g. "glossary=Acme Portal, Phoenix"
+   * @returns {Array} [name, value]; value is undefined for removal
+   */
+  static parseVariable(assignment) {
+    const index = assignment.indexOf('=');
+    if (index <= 0) {
+      throw new Error(`Expected name=value, got "${assignment}"`);
+    }
+
+    const name = assignment.slice(0, index).trim();
+    const raw = assignment.slice(index + 1).trim();
+    if (!raw) return [name, undefined];
+    if (Array.isArray(DEFAULT_VARIABLES[name])) {
+      return [name, raw.split(',').map(item => item.trim()).filter(Boolean)];
+    }
+    if (typeof DEFAULT_VARIABLES[name] === 'number') {
+      if (!/^\d+$/.test(raw)) {
+        throw new Error(`${name} must be a whole number`);
+      }
+      return [name, Number(raw)];
+    }
+    return [name, raw];
+  }
+}
+
+PromptBuilder.DEFAULT_TEMPLATE_NAME = DEFAULT_TEMPLATE_NAME;
+PromptBuilder.BUILT_IN_TEMPLATES = BUILT_IN_TEMPLATES;
+PromptBuilder.DEFAULT_VARIABLES = DEFAULT_VARIABLES;
+
+module.exports = PromptBuilder;
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a --since value: an ISO date/time, or a relative duration such as "30m", "2h" or "7d"
+ * @param {string} value - User-supplied time
+ * @returns {Date} Point in time
+ */
+function parseSince(value) {
+  const relative = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+  if (relative) {
+    return new Date(Date.now() - Number(relative[1]) * DURATION_UNITS[relative[2].toLowerCase()]);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid time: "${value}". Use an ISO date or a duration such as 2h or 7d.`);
+  }
+  return date;
+}
+
+/**
+ * Journal entries in JSON-lines text, skipping lines that don't parse
+ * @param {string} text - Journal contents
+ * @returns {Array} Entries
+ */
+function parseLines(text) {
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        logger.warn('Skipping unreadable rename journal line', { line });
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Append-only journal of every rename, one JSON object per line, so original
+ * names can always be restored. Undos are journalled too, never erased.
+ */
+class RenameJournal {
+  constructor(journalPath = config.getStatePath('journal.jsonl')) {
+    this.journalPath = journalPath;
+    this.restoredPaths = new Set();
+    this.indexedBytes = 0;
+  }
+
+  append(entry) {
+    try {
+      fs.appendFileSync(this.journalPath, `${JSON.stringify(entry)}\n`);
+      return entry;
+    } catch (error) {
+      logger.error(`Failed to write rename journal: ${this.journalPath}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a completed rename
+   * @param {Object} details - from, to, provider and model of the rename, and any alternative names
+   * @returns {Object|null} Journal entry
+   */
+  recordRename(details) {
+    return this.append({
+      id: crypto.randomUUID(),
+      type: 'rename',
+      time: new Date().toISOString(),
+      ...details,
+      from: path.resolve(details.from),
+      to: path.resolve(details.to)
+    });
+  }
+
+  recordUndo(entry) {
+    return this.append({
+      id: crypto.randomUUID(),
+      type: 'undo',
+      time: new Date().toISOString(),
+      ref: entry.id,
+      from: entry.to,
+      to: entry.from
+    });
+  }
+
+  readAll() {
+    if (!fs.existsSync(this.journalPath)) {
+      return [];
+    }
+
+    return parseLines(fs.readFileSync(this.journalPath, 'utf8'));
+  }
+
+  /**
+   * Bring the index of restored files up to date with lines appended since
+   * it was last read, by this process or another (undo runs from the CLI)
+   */
+  indexRestored() {
+    let size;
+    try {
+      size = fs.statSync(this.journalPath).size;
+    } catch (error) {
+      return;
+    }
+
+    if (size < this.indexedBytes) {
+      // Journal replaced: start over
+      this.restoredPaths.clear();
+      this.indexedBytes = 0;
+    }
+    if (size === this.indexedBytes) return;
+
+    const fd = fs.openSync(this.journalPath, 'r');
+    let text;
+    try {
+      const buffer = Buffer.alloc(size - this.indexedBytes);
+      fs.readSync(fd, buffer, 0, buffer.length, this.indexedBytes);
+      text = buffer.toString('utf8');
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    // Leave a partly written last line for next time
+    const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+    this.indexedBytes += Buffer.byteLength(complete);
+
+    for (const entry of parseLines(complete)) {
+      if (entry.type === 'undo') {
+        this.restoredPaths.add(entry.to);
+      } else if (entry.type === 'rename') {
+        this.restoredPaths.delete(entry.from);
+      }
+    }
+  }
+
+  /**
+   * Whether a file was given back its original name by undo and hasn't been
+   * renamed since, so watchers and catch-up leave it alone. An explicit
+   * `rename` names it again.
+   * @param {string} filePath - File that appeared
+   */
+  wasRestored(filePath) {
+    this.indexRestored();
+    return this.restoredPaths.has(path.resolve(filePath));
+  }
+
+  /**
+   * Renames that have not been undone yet, newest first
+   */
+  getUndoableEntries() {
+    const entries = this.readAll();
+    const undone = new Set(entries.filter(entry => entry.type === 'undo').map(entry => entry.ref));
+
+    return entries
+      .filter(entry => entry.type === 'rename' && !undone.has(entry.id))
+      .reverse();
+  }
+
+  /**
+   * Choose renames to undo
+   * @param {Object} criteria
+   * @param {number} criteria.last - The N most recent renames
+   * @param {string} criteria.since - Renames at or after this time
+   * @param {string} criteria.file - The rename that produced this file
+   * @returns {Array} Entries, newest first
+   */
+  select(criteria = {}) {
+    const entries = this.getUndoableEntries();
+
+    if (criteria.file) {
+      const target = path.resolve(criteria.file);
+      const match = entries.find(entry => entry.to === target);
+      return match ? [match] : [];
+    }
+
+    if (criteria.since) {
+      const since = parseSince(criteria.since).getTime();
+      return entries.filter(entry => new Date(entry.time).getTime() >= since);
+    }
+
+    return entries.slice(0, criteria.last || 1);
+  }
+
+  /**
+   * Restore original names, newest rename first. A rename is only reversed
+   * when its file is still where we left it and the original name is free.
+   * @param {Array} entries - Entries from select()
+   * @param {Function} onRestored - Called with each restored path, e.g. to
+   *   forget it in the processed index so `rename` may name it again
+   * @returns {Promise<Object>} Summary with restored, skipped and failed results
+   */
+  async undo(entries, onRestored = null) {
+    const summary = { restored: [], skipped: [], failed: [] };
+
+    for (const entry of entries) {
+      const result = { entry };
+
+      if (!fs.existsSync(entry.to)) {
+        summary.skipped.push({ ...result, reason: 'Renamed file no longer exists' });
+        continue;
+      }
+
+      if (fs.existsSync(entry.from)) {
+        summary.skipped.push({ ...result, reason: 'Original name is taken' });
+        continue;
+      }
+
+      try {
+        await fs.promises.mkdir(path.dirname(entry.from), { recursive: true });
+        await fs.promises.rename(entry.to, entry.from);
+        this.recordUndo(entry);
+        if (onRestored) {
+          await onRestored(entry.from);
+        }
+        logger.info(`File restored: ${path.basename(entry.to)} → ${path.basename(entry.from)}`);
+        summary.restored.push(result);
+      } catch (error) {
+        logger.error(`Error restoring ${entry.to} to ${entry.from}`, error);
+        summary.failed.push({ ...result, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+}
+
+RenameJournal.parseSince = parseSince;
+
+module.exports = RenameJournal;
@@ -0,0 +1,657 @@
+const path = require('path');
+const fs = require('fs');
+const AnalyzerFactory = require('./analyzers/analyzer-factory');
+const config = require('./config');
+const providerRegistry = require('./analyzers/provider-registry');
+const clipboardManager = require('./clipboard-manager');
+const logger = require('./logger');
+const RenameJournal = require('./rename-journal');
+const ProcessedIndex = require('./processed-index');
+const AnalysisCache = require('./analysis-cache');
+const DuplicateDetector = require('./duplicate-detector');
+const RulesEngine = require('./rules-engine');
+const ReviewQueue = require('./review-queue');
+const securityUtils = require('./security-utils');
+const { hashFile } = require('./utils/file-hash');
+const { readImageSize, readImageDate } = require('./utils/image-info');
+const { getPromptVersion } = require('./ai-utils');
+const { normalizeAnalysis } = require('./analysis-schema');
+const { comparableName, rankCandidates } = require('./name-ranker');
+const { checkNameQuality, getDenyList, isGenericName } = require('./name-quality');
+const PromptBuilder = require('./prompt-builder');
+const { DEFAULT_TEMPLATE, renderTemplate, usesToken } = require('./filename-template');
+const { applyNamingStyle, usesUnicode } = require('./naming-style');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+/**
+ * The analyze → name → rename steps shared by the folder watcher and
+ * one-shot batch renames
+ */
+class RenamePipeline {
+  constructor() {
+    this.imageExtensions = IMAGE_EXTENSIONS;
+    this.journal = new RenameJournal();
+    this.processedIndex = new ProcessedIndex();
+    this.cache = new AnalysisCache();
+    this.duplicates = new DuplicateDetector();
+    this.reviews = new ReviewQueue();
+  }
+
+  formatTime(ms) {
+    return `${(ms / 1000).toFixed(1)} seconds`;
+  }
+
+  getAnalyzer(profileConfig) {
+    return AnalyzerFactory.createAnalyzer(profileConfig);
+  }
+
+  /**
+   * Model configured for a provider, by default the first in the chain
+   */
+  getModelName(profileConfig, provider = config.getProviderChain(profileConfig)[0]) {
+    return providerRegistry.has(provider) ? providerRegistry.getModelName(provider, profileConfig) : undefined;
+  }
+
+  isImageFile(filePath) {
+    return this.imageExtensions.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Whether an image has been renamed before, judged by its content rather than its name
+   * @param {string} filePath - Image to check
+   * @param {Object} settings - Configuration (processedXattr)
+   * @returns {Promise<boolean>}
+   */
+  isAlreadyProcessed(filePath, settings = {}) {
+    return this.processedIndex.isProcessed(filePath, { useXattr: settings.processedXattr });
+  }
+
+  markProcessed(filePath, settings = {}, originalName) {
+    return this.processedIndex.markProcessed(filePath, {
+      useXattr: settings.processedXattr,
+      originalName
+    });
+  }
+
+  /**
+   * Analyze an image and rename it in place
+   * @param {string} filePath - Image to rename
+   * @param {Object} profileConfig - Configuration for the file's watch profile
+   * @param {Object} options
+   * @param {boolean} options.copyToClipboard - Override the profile's clipboard setting
+   * @param {boolean} options.dryRun - Plan the rename without touching the filesystem
+   * @param {Set<string>} options.reservedPaths - Paths already claimed by earlier planned renames
+   * @param {boolean} options.confirm - Hold every name for review rather than renaming
+   * @returns {Promise<Object>} Result with status 'renamed', 'planned', 'review', 'deferred', 'skipped' or 'failed'
+   */
+  async processFile(filePath, profileConfig, options = {}) {
+    const providers = config.getProviderChain(profileConfig);
+    const result = { filePath, provider: providers[0], model: this.getModelName(profileConfig) };
+
+    // Look for a near-identical recent screenshot before paying for analysis
+    const detection = profileConfig.duplicateDetection || 'off';
+    let perceptualHash = null;
+    if (detection !== 'off') {
+      perceptualHash = await this.duplicates.hash(filePath);
+      const duplicate = perceptualHash && this.duplicates.findNearDuplicate(perceptualHash, {
+        filePath,
+        threshold: profileConfig.duplicateThreshold,
+        windowMinutes: profileConfig.duplicateWindowMinutes
+      });
+
+      if (duplicate) {
+        return this.handleDuplicate(filePath, duplicate, perceptualHash, profileConfig, options, result);
+      }
+    }
+
+    // Analyze image with AI
+    const startTime = Date.now();
+
+    logger.info(`🤖 Starting AI analysis`, {
+      provider: providers.join(' → '),
+      model: result.model,
+      file: path.basename(filePath)
+    });
+
+    const { analysis: rawAnalysis, cached } = await this.analyze(filePath, profileConfig);
+
+    // No provider reachable, or every circuit open: keep the name until one is back
+    if (rawAnalysis && rawAnalysis.unavailable) {
+      logger.info(`⏸️ No provider is reachable, ${path.basename(filePath)} keeps its name for now`, { provider: providers.join(' → ') });
+      return { ...result, status: 'deferred', reason: 'No provider is reachable' };
+    }
+
+    const analysis = rawAnalysis && await this.rankCandidates(filePath, rawAnalysis, profileConfig);
+
+    result.timeTaken = Date.now() - startTime;
+    result.cached = cached;
+
+    if (!analysis) {
+      logger.error('❌ Image analysis failed, no result returned', {
+        file: filePath,
+        provider: providers.join(' → '),
+        model: result.model,
+        timeTaken: this.formatTime(result.timeTaken)
+      });
+      return { ...result, status: 'failed', error: 'Image analysis returned no result' };
+    }
+
+    // In a provider chain, credit whichever provider named the image
+    if (analysis.provider) {
+      result.provider = analysis.provider;
+      result.model = this.getModelName(profileConfig, analysis.provider);
+    }
+
+    logger.info(`✅ Image analysis successful`, {
+      result: analysis,
+      provider: result.provider,
+      model: result.model,
+      cached,
+      timeTaken: this.formatTime(result.timeTaken),
+      file: path.basename(filePath)
+    });
+    result.analysis = analysis;
+
+    const { newFilePath, rule } = await this.suggestPath(filePath, analysis, profileConfig, options.reservedPaths);
+    if (rule) {
+      result.rule = rule;
+    }
+
+    const reviewReason = this.getReviewReason(analysis, profileConfig) || (options.confirm ? 'Awaiting confirmation' : null);
+    if (reviewReason) {
+      return this.holdForReview(filePath, newFilePath, reviewReason, profileConfig, options, result);
+    }
+
+    return this.commitRename(filePath, newFilePath, profileConfig, options, result, { perceptualHash });
+  }
+
+  /**
+   * When an analysis offers alternatives, make the best-scoring candidate its
+   * name; the others stay on as alternatives, best first, for review and undo
+   * @param {string} filePath - Image being named; its folder's files count against repeats
+   * @param {Object} analysis - Analysis with name and alternatives
+   * @param {Object} settings - Configuration, for the deny-list and quality checks
+   * @returns {Promise<Object>} Analysis with the winning name
+   */
+  async rankCandidates(filePath, analysis, settings = {}) {
+    if (!analysis.alternatives || analysis.alternatives.length === 0 || analysis.fallback) {
+      return analysis;
+    }
+
+    let existingNames = new Set();
+    try {
+      const entries = await fs.promises.readdir(path.dirname(filePath));
+      existingNames = new Set(entries
+        .filter(entry => entry !== path.basename(filePath))
+        .map(comparableName));
+    } catch (error) {
+      logger.debug(`Could not list ${path.dirname(filePath)} for ranking`, { error: error.message });
+    }
+
+    // Candidates that pass the quality checks always outrank those that don't
+    const ranked = rankCandidates([analysis.name, ...analysis.alternatives], {
+      existingNames,
+      genericWords: getDenyList(settings)
+    });
+    ranked.sort((a, b) => checkNameQuality(a.name, settings).length - checkNameQuality(b.name, settings).length);
+    logger.debug('Ranked candidate names', { file: path.basename(filePath), ranked });
+
+    return {
+      ...analysis,
+      name: ranked[0].name,
+      alternatives: ranked.slice(1).map(candidate => candidate.name)
+    };
+  }
+
+  /**
+   * Where an analysis says a file belongs: organized by rules, under a
+   * filename that is free in the target directory
+   * @returns {Promise<{newFilePath: string, rule: string|null}>}
+   */
+  async suggestPath(filePath, analysis, profileConfig, reservedPaths) {
+    const destination = await new RulesEngine(profileConfig.rules).findDestination(filePath, analysis);
+    const directory = destination ? destination.directory : path.dirname(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    const newFileName = await this.generateFileName(analysis, ext, directory, reservedPaths, filePath, profileConfig);
+
+    return {
+      newFilePath: path.join(directory, newFileName),
+      rule: destination ? destination.rule.name || destination.rule.destination : null
+    };
+  }
+
+  /**
+   * Why an analysis is too unsure to name the file, if it is. Only applies
+   * when minConfidence is set; fallback names always count as unsure, and
+   * analyses without a confidence (simple mode) never do.
+   * @returns {string|null} Reason, or null when the name can be used
+   */
+  getReviewReason(analysis, settings = {}) {
+    const minConfidence = settings.minConfidence || 0;
+    if (minConfidence <= 0) {
+      return null;
+    }
+
+    if (analysis.fallback) {
+      return 'Analysis failed';
+    }
+
+    if (typeof analysis.confidence === 'number' && analysis.confidence < minConfidence) {
+      return `Confidence ${analysis.confidence.toFixed(2)} below ${minConfidence}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Keep an unsure file's original name (or add a _review marker, per
+   * lowConfidenceAction) and queue the suggested name for review.
+   * Files held for confirmation are never marked; someone is waiting for them.
+   */
+  async holdForReview(filePath, suggestedPath, reason, profileConfig, options, result) {
+    result.suggestedPath = suggestedPath;
+    result.reason = reason;
+
+    logger.info(`🤔 ${reason}, holding ${path.basename(filePath)} for review`, {
+      suggested: path.basename(suggestedPath)
+    });
+
+    if (options.dryRun) {
+      return { ...result, status: 'review' };
+    }
+
+    let heldPath = filePath;
+    if (profileConfig.lowConfidenceAction === 'marker' && !options.confirm) {
+      const ext = path.extname(filePath);
+      const baseName = path.basename(filePath, ext).replace(/_review(_\d+)?$/, '');
+      const markedName = await this.findAvailableName(path.dirname(filePath), `${baseName}_review`, ext, options.reservedPaths, filePath);
+      const marked = await this.commitRename(filePath, path.join(path.dirname(filePath), markedName), profileConfig, options, { ...result }, {
+        copyToClipboard: false
+      });
+      if (marked.status === 'failed') {
+        return marked;
+      }
+      heldPath = marked.newFilePath;
+    } else {
+      await this.markProcessed(filePath, profileConfig);
+    }
+
+    const review = this.reviews.add({
+      filePath: heldPath,
+      originalPath: filePath,
+      suggestedPath,
+      analysis: result.analysis,
+      provider: result.provider,
+      model: result.model,
+      reason
+    });
+
+    return { ...result, newFilePath: heldPath, status: 'review', reviewId: review.id };
+  }
+
+  /**
+   * Settle a pending review. Accepted and renamed files go to the suggestion's folder.
+   * @param {Object} review - From the review queue
+   * @param {string} action - 'accept' the suggested name, 'rename' to newName, or 'dismiss' to keep the original name
+   * @param {Object} profileConfig - Configuration for the file's watch profile
+   * @param {string} newName - Name of your own for 'rename'; for 'accept', a candidate file name to use instead of the suggestion
+   * @returns {Promise<Object>} Result with status 'renamed', 'skipped' or 'failed'
+   */
+  async resolveReview(review, action, profileConfig, newName) {
+    const states = { accept: 'accepted', rename: 'renamed', dismiss: 'dismissed' };
+    if (!states[action]) {
+      throw new Error(`Unknown review action: ${action}`);
+    }
+
+    const result = { filePath: review.filePath, provider: review.provider, model: review.model, analysis: review.analysis };
+
+    if (!fs.existsSync(review.filePath)) {
+      if (action === 'dismiss') {
+        this.reviews.resolve(review.id, states.dismiss);
+        return { ...result, status: 'skipped', reason: 'File no longer exists' };
+      }
+      return { ...result, status: 'failed', error: `File no longer exists: ${review.filePath}` };
+    }
+
+    const ext = path.extname(review.filePath);
+    let directory = path.dirname(review.suggestedPath);
+    let baseName;
+
+    if (action === 'accept') {
+      const fileName = newName || path.basename(review.suggestedPath);
+      baseName = path.basename(fileName, path.extname(fileName));
+    } else if (action === 'rename') {
+      const name = String(newName || '').trim().replace(new RegExp(`\\${ext}$`, 'i'), '');
+      if (!name) {
+        throw new Error('A new name is required');
+      }
+      baseName = securityUtils.sanitizeFilename(name, { preserveCase: true, preserveSpaces: true });
+    } else {
+      directory = path.dirname(review.originalPath);
+      baseName = path.basename(review.originalPath, path.extname(review.originalPath));
+    }
+
+    const newFileName = await this.findAvailableName(directory, baseName, ext, new Set(), review.filePath);
+    const outcome = await this.commitRename(review.filePath, path.join(directory, newFileName), profileConfig, {}, result, {
+      copyToClipboard: false
+    });
+
+    if (outcome.status !== 'failed') {
+      this.reviews.resolve(review.id, states[action], { finalPath: outcome.newFilePath });
+    }
+    return outcome;
+  }
+
+  /**
+   * Ask the model again about a file awaiting review, bypassing the
+   * analysis cache, and replace the review's suggestion
+   * @returns {Promise<Object>} Updated review
+   */
+  async regenerateReview(review, profileConfig) {
+    const rawAnalysis = await this.getAnalyzer(profileConfig).analyzeImage(review.filePath);
+    if (!rawAnalysis) {
+      throw new Error('Image analysis returned no result');
+    }
+    if (rawAnalysis.unavailable) {
+      throw new Error('No provider is available right now');
+    }
+    const analysis = await this.rankCandidates(review.filePath, rawAnalysis, profileConfig);
+
+    const { newFilePath } = await this.suggestPath(review.filePath, analysis, profileConfig);
+    const provider = analysis.provider || config.getProviderChain(profileConfig)[0];
+    return this.reviews.update(review.id, {
+      analysis,
+      provider,
+      model: this.getModelName(profileConfig, provider),
+      suggestedPath: newFilePath,
+      reason: this.getReviewReason(analysis, profileConfig) || 'Awaiting confirmation'
+    });
+  }
+
+  /**
+   * Deal with a near-duplicate according to the duplicateDetection setting:
+   * skip it, move it into the duplicates folder, or name it as a series of the original
+   */
+  async handleDuplicate(filePath, duplicate, perceptualHash, profileConfig, options, result) {
+    const ext = path.extname(filePath).toLowerCase();
+    const action = profileConfig.duplicateDetection;
+    result.duplicateOf = duplicate.path;
+
+    logger.info(`👯 Near-duplicate of ${path.basename(duplicate.path)} detected`, {
+      file: path.basename(filePath),
+      distance: duplicate.distance,
+      action
+    });
+
+    if (action === 'skip') {
+      return { ...result, status: 'skipped', reason: `Near-duplicate of ${path.basename(duplicate.path)}` };
+    }
+
+    if (action === 'move') {
+      const targetDir = path.resolve(path.dirname(filePath), profileConfig.duplicateFolder);
+      const baseName = path.basename(filePath, path.extname(filePath));
+      const newFileName = await this.findAvailableName(targetDir, baseName, path.extname(filePath), options.reservedPaths, filePath);
+      return this.commitRename(filePath, path.join(targetDir, newFileName), profileConfig, options, result, {
+        copyToClipboard: false
+      });
+    }
+
+    // Series: reuse the original's name and folder, letting the collision counter number the series
+    const seriesDir = path.dirname(duplicate.path);
+    const seriesName = path.basename(duplicate.path, path.extname(duplicate.path)).replace(/_\d+$/, '');
+    const newFileName = await this.findAvailableName(seriesDir, seriesName, ext, options.reservedPaths, filePath);
+    return this.commitRename(filePath, path.join(seriesDir, newFileName), profileConfig, options, result, {
+      perceptualHash
+    });
+  }
+
+  /**
+   * Move a file to its new path: journal it, mark it processed and copy it to the clipboard
+   * @param {Object} extras
+   * @param {string} extras.perceptualHash - Remember the file for duplicate detection
+   * @param {boolean} extras.copyToClipboard - Override the clipboard setting for this file
+   */
+  async commitRename(filePath, newFilePath, profileConfig, options, result, extras = {}) {
+    result.newFilePath = newFilePath;
+    const newFileName = path.basename(newFilePath);
+
+    if (filePath === newFilePath) {
+      if (!options.dryRun) {
+        await this.markProcessed(filePath, profileConfig);
+        if (extras.perceptualHash) this.duplicates.remember(extras.perceptualHash, filePath);
+      }
+      return { ...result, status: 'skipped', reason: 'Name unchanged' };
+    }
+
+    if (options.reservedPaths) {
+      options.reservedPaths.add(newFilePath);
+    }
+
+    if (options.dryRun) {
+      logger.info(`🔍 Dry run: ${path.basename(filePath)} → ${path.relative(path.dirname(filePath), newFilePath)}`);
+      return { ...result, status: 'planned' };
+    }
+
+    // Rename file
+    try {
+      await fs.promises.mkdir(path.dirname(newFilePath), { recursive: true });
+      await fs.promises.rename(filePath, newFilePath);
+      logger.info(`File renamed: ${path.basename(filePath)} → ${newFileName}`);
+      // Names the ranker passed over are kept, so undo can offer them
+      const alternatives = result.analysis && result.analysis.alternatives;
+      this.journal.recordRename({
+        from: filePath,
+        to: newFilePath,
+        provider: result.provider,
+        model: result.model,
+        alternatives: alternatives && alternatives.length > 0 ? alternatives : undefined
+      });
+    } catch (renameError) {
+      logger.error(`Error renaming file: ${filePath} to ${newFilePath}`, renameError);
+      return { ...result, status: 'failed', error: renameError.message };
+    }
+
+    await this.markProcessed(newFilePath, profileConfig, path.basename(filePath));
+    if (extras.perceptualHash) {
+      this.duplicates.remember(extras.perceptualHash, newFilePath);
+    }
+
+    // Copy to clipboard if enabled
+    const copyToClipboard = [extras.copyToClipboard, options.copyToClipboard, profileConfig.copyToClipboard]
+      .find(value => value !== undefined);
+    if (copyToClipboard) {
+      try {
+        await clipboardManager.copyImageToClipboard(newFilePath);
+        logger.info('Image copied to clipboard');
+      } catch (clipboardError) {
+        logger.error(`Error copying ${newFilePath} to clipboard`, clipboardError);
+      }
+    }
+
+    return { ...result, status: 'renamed' };
+  }
+
+  /**
+   * Analyze an image, answering from the analysis cache when the same
+   * image was seen before with the same provider, model and prompt
+   * @returns {Promise<{analysis: Object, cached: boolean}>}
+   */
+  async analyze(filePath, profileConfig) {
+    let cacheKey = null;
+
+    if (profileConfig.analysisCacheEnabled) {
+      this.cache.configure({
+        maxEntries: profileConfig.analysisCacheMaxEntries,
+        ttlDays: profileConfig.analysisCacheTtlDays
+      });
+
+      try {
+        cacheKey = AnalysisCache.createKey({
+          contentHash: await hashFile(filePath),
+          provider: config.getProviderChain(profileConfig).join(','),
+          model: this.getModelName(profileConfig),
+          promptVersion: getPromptVersion(profileConfig)
+        });
+
+        const cachedAnalysis = this.cache.get(cacheKey);
+        if (cachedAnalysis !== undefined) {
+          logger.info(`⚡ Using cached analysis for ${path.basename(filePath)}`);
+          return { analysis: normalizeAnalysis(cachedAnalysis), cached: true };
+        }
+      } catch (error) {
+        logger.debug(`Analysis cache unavailable for ${filePath}`, { error: error.message });
+      }
+    }
+
+    const analyzer = this.getAnalyzer(profileConfig);
+    const analysis = await this.askForBetterName(analyzer, filePath, await analyzer.analyzeImage(filePath), profileConfig);
+
+    // Never cache failures or fallback names; the next attempt may do better
+    if (cacheKey && analysis && !analysis.fallback) {
+      this.cache.set(cacheKey, analysis);
+    }
+
+    return { analysis, cached: false };
+  }
+
+  /**
+   * Ask again, with a more demanding prompt, while no candidate passes the
+   * name quality checks (up to nameRetries times). Should every attempt
+   * fail, the last answer stands.
+   * @returns {Promise<Object>} The best analysis obtained
+   */
+  async askForBetterName(analyzer, filePath, analysis, settings) {
+    let current = analysis;
+    const retries = settings.nameRetries === undefined ? 1 : settings.nameRetries;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      if (!current || current.fallback) {
+        return current;
+      }
+
+      const candidates = [current.name, ...(current.alternatives || [])];
+      if (candidates.some(name => checkNameQuality(name, settings).length === 0)) {
+        return current;
+      }
+
+      const problems = checkNameQuality(current.name, settings);
+      logger.info(`🔁 "${current.name}" rejected (${problems.join('; ')}), asking again`, {
+        file: path.basename(filePath),
+        attempt
+      });
+
+      const prompt = new PromptBuilder(settings).buildFollowUp(current.name, problems, getDenyList(settings));
+      const retry = await analyzer.analyzeImage(filePath, { prompt });
+      if (!retry || retry.fallback) {
+        return current;
+      }
+      current = retry;
+    }
+
+    return current;
+  }
+
+  async isNameTaken(filePath, reservedPaths, currentPath) {
+    if (reservedPaths.has(filePath)) {
+      return true;
+    }
+
+    if (currentPath && path.resolve(filePath) === path.resolve(currentPath)) {
+      return false;
+    }
+
+    try {
+      await fs.promises.access(filePath);
+      // If access doesn't throw, file exists
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Build a unique, filesystem-safe filename for an analysis result
+   * @param {Object} analysis - Analysis from the analyzer (name, category, tags...)
+   * @param {string} extension - Extension to keep, including the dot
+   * @param {string} directory - Directory the file will live in
+   * @param {Set<string>} reservedPaths - Paths to treat as taken (planned renames)
+   * @param {string} currentPath - The file being renamed, which never collides with itself
+   * @param {Object} settings - Profile configuration: filenameTemplate and provider
+   * @returns {Promise<string>} File name within the directory
+   */
+  async generateFileName(analysis, extension, directory, reservedPaths = new Set(), currentPath = null, settings = {}) {
+    // Format the analysis text in the configured naming style, filename-safe
+    let fileName = applyNamingStyle(analysis.name, {
+      style: settings.namingStyle,
+      unicode: usesUnicode(settings),
+      maxLength: settings.promptVariables && settings.promptVariables.maxLength
+    });
+
+    // Only add timestamp if filename would be too generic or empty.
+    // A couple of CJK characters say as much as a short English word.
+    const minLength = /^[\x00-\x7f]*$/.test(fileName) ? 3 : 2;
+    if (!fileName || Array.from(fileName).length < minLength || isGenericName(fileName, settings)) {
+      const timestamp = Date.now();
+      fileName = `${fileName || 'image'}_${timestamp}`;
+    }
+
+    const template = settings.filenameTemplate || DEFAULT_TEMPLATE;
+    const values = {
+      desc: fileName,
+      category: analysis.category,
+      tags: analysis.tags,
+      provider: analysis.provider || (settings.aiProvider ? config.getProviderChain(settings)[0] : undefined),
+      model: settings.aiProvider ? this.getModelName(settings, analysis.provider) : undefined,
+      original: currentPath ? path.basename(currentPath, path.extname(currentPath)) : undefined,
+      date: new Date()
+    };
+
+    if (currentPath && (usesToken(template, 'date') || usesToken(template, 'time'))) {
+      try {
+        values.date = await readImageDate(currentPath);
+      } catch (error) {
+        logger.debug(`Could not read file date: ${currentPath}`, { error: error.message });
+      }
+    }
+
+    if (currentPath && (usesToken(template, 'width') || usesToken(template, 'height'))) {
+      try {
+        Object.assign(values, await readImageSize(currentPath));
+      } catch (error) {
+        logger.debug(`Could not read image size: ${currentPath}`, { error: error.message });
+      }
+    }
+
+    // Handle potential filename conflicts on the rendered name, including names claimed by planned renames
+    let counter = 1;
+    let newFileName = `${renderTemplate(template, values, counter)}${extension}`;
+
+    while (await this.isNameTaken(path.join(directory, newFileName), reservedPaths, currentPath)) {
+      counter++;
+      newFileName = `${renderTemplate(template, values, counter)}${extension}`;
+    }
+
+    return newFileName;
+  }
+
+  /**
+   * First free name of the form base.ext, base_2.ext, base_3.ext...
+   * Names claimed by planned renames count as taken.
+   */
+  async findAvailableName(directory, baseName, extension, reservedPaths = new Set(), currentPath = null) {
+    let counter = 1;
+    let newFileName = `${baseName}${extension}`;
+
+    while (await this.isNameTaken(path.join(directory, newFileName), reservedPaths, currentPath)) {
+      counter++;
+      newFileName = `${baseName}_${counter}${extension}`;
+    }
+    
+    return newFileName;
+  }
+}
+
+RenamePipeline.IMAGE_EXTENSIONS = IMAGE_EXTENSIONS;
+
+module.exports = RenamePipeline;
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const RenameJournal = require('./rename-journal');
+
+/**
+ * Rename plans: the old → new mappings produced by a dry run, exportable
+ * as JSON for review and applicable later
+ */
+class RenamePlan {
+  constructor(entries = [], createdAt = new Date().toISOString()) {
+    this.entries = entries;
+    this.createdAt = createdAt;
+  }
+
+  /**
+   * Record a planned rename from a pipeline result
+   * @param {Object} result - Result with status 'planned'
+   */
+  add(result) {
+    this.entries.push({
+      from: result.filePath,
+      to: result.newFilePath,
+      provider: result.provider,
+      model: result.model,
+      analysis: result.analysis
+    });
+  }
+
+  toJSON() {
+    return {
+      version: 1,
+      createdAt: this.createdAt,
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Write the plan as JSON
+   * @param {string} planPath - Destination file
+   */
+  save(planPath) {
+    const tempPath = `${planPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.toJSON(), null, 2));
+    fs.renameSync(tempPath, planPath);
+  }
+
+  /**
+   * Read a plan written by save()
+   * @param {string} planPath - Plan file
+   * @returns {RenamePlan}
+   */
+  static load(planPath) {
+    const data = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error(`Not a rename plan: ${planPath}`);
+    }
+
+    const invalid = data.entries.find(entry => typeof entry.from !== 'string' || typeof entry.to !== 'string');
+    if (invalid) {
+      throw new Error(`Rename plan entry is missing "from" or "to": ${JSON.stringify(invalid)}`);
+    }
+
+    return new RenamePlan(data.entries, data.createdAt);
+  }
+
+  /**
+   * Carry out the planned renames. Entries whose source has gone or whose
+   * target is already taken are skipped rather than overwritten.
+   * @param {Function} onEntry - Called with each entry's result for progress reporting
+   * @param {RenameJournal} journal - Journal recording each rename for undo
+   * @param {Function} onRenamed - Called with each new path once renamed
+   * @returns {Promise<Object>} Summary with renamed, skipped and failed results
+   */
+  async apply(onEntry = () => {}, journal = new RenameJournal(), onRenamed = async () => {}) {
+    const summary = { renamed: [], skipped: [], failed: [] };
+
+    for (const entry of this.entries) {
+      const result = { filePath: entry.from, newFilePath: entry.to, provider: entry.provider, model: entry.model };
+
+      if (!fs.existsSync(entry.from)) {
+        Object.assign(result, { status: 'skipped', reason: 'Source no longer exists' });
+      } else if (fs.existsSync(entry.to)) {
+        Object.assign(result, { status: 'skipped', reason: 'Target already exists' });
+      } else {
+        try {
+          await fs.promises.mkdir(path.dirname(entry.to), { recursive: true });
+          await fs.promises.rename(entry.from, entry.to);
+          logger.info(`File renamed: ${path.basename(entry.from)} → ${path.basename(entry.to)}`);
+          journal.recordRename({ from: entry.from, to: entry.to, provider: entry.provider, model: entry.model });
+          await onRenamed(entry.to, entry.from);
+          result.status = 'renamed';
+        } catch (error) {
+          logger.error(`Error renaming file: ${entry.from} to ${entry.to}`, error);
+          Object.assign(result, { status: 'failed', error: error.message });
+        }
+      }
+
+      summary[result.status].push(result);
+      onEntry(result);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = RenamePlan;
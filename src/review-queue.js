@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+const REVIEW_STATES = ['pending', 'accepted', 'renamed', 'dismissed'];
+
+/**
+ * Images whose analysis fell below minConfidence, kept on disk until
+ * someone accepts the suggested name, picks another or dismisses them.
+ */
+class ReviewQueue {
+  /**
+   * @param {string} reviewPath - Location of the review file
+   * @param {Object} options
+   * @param {number} options.maxResolvedReviews - Resolved reviews kept for inspection
+   */
+  constructor(reviewPath = config.getStatePath('reviews.json'), options = {}) {
+    this.reviewPath = reviewPath;
+    this.maxResolvedReviews = options.maxResolvedReviews || 200;
+    this.reviews = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.reviewPath)) {
+        const data = JSON.parse(fs.readFileSync(this.reviewPath, 'utf8'));
+        this.reviews = Array.isArray(data.reviews) ? data.reviews : [];
+      }
+    } catch (error) {
+      logger.error(`Failed to read review queue: ${this.reviewPath}`, error);
+      this.reviews = [];
+    }
+  }
+
+  save() {
+    try {
+      const tempPath = `${this.reviewPath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, reviews: this.reviews }, null, 2));
+      fs.renameSync(tempPath, this.reviewPath);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to write review queue: ${this.reviewPath}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Hold an image for review, replacing any pending review of the same file
+   * @param {Object} details
+   * @param {string} details.filePath - Where the image is now
+   * @param {string} details.originalPath - Where it was before any _review marker
+   * @param {string} details.suggestedPath - The name the model suggested
+   * @param {Object} details.analysis - The analysis behind the suggestion
+   * @param {string} details.reason - Why the image needs review
+   * @returns {Object} Pending review
+   */
+  add(details) {
+    this.reviews = this.reviews.filter(review =>
+      !(review.state === 'pending' && review.originalPath === details.originalPath));
+
+    const now = new Date().toISOString();
+    const review = {
+      id: crypto.randomUUID(),
+      ...details,
+      state: 'pending',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.reviews.push(review);
+    this.prune();
+    this.save();
+    logger.debug('Review queued', { id: review.id, file: path.basename(details.filePath) });
+    return review;
+  }
+
+  update(id, changes) {
+    const review = this.reviews.find(item => item.id === id);
+    if (!review) {
+      return null;
+    }
+
+    Object.assign(review, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    return review;
+  }
+
+  /**
+   * Close a review
+   * @param {string} id - Review id
+   * @param {string} state - 'accepted', 'renamed' or 'dismissed'
+   * @param {Object} changes - Extra fields, such as the final path
+   */
+  resolve(id, state, changes = {}) {
+    const review = this.reviews.find(item => item.id === id);
+    if (!review) {
+      return null;
+    }
+
+    if (!REVIEW_STATES.includes(state)) {
+      throw new Error(`Unknown review state: ${state}`);
+    }
+
+    return this.update(id, { ...changes, state });
+  }
+
+  /**
+   * Pending reviews, oldest first
+   */
+  getPending() {
+    return this.reviews.filter(review => review.state === 'pending');
+  }
+
+  /**
+   * Find a pending review by id or by the short id shown in listings
+   * @param {string} id - Full id or a unique prefix
+   * @returns {Object|null} Review
+   * @throws {Error} When the prefix matches several reviews
+   */
+  findPending(id) {
+    const matches = this.getPending().filter(review => review.id.startsWith(id));
+    if (matches.length > 1) {
+      throw new Error(`"${id}" matches ${matches.length} reviews; use more characters`);
+    }
+    return matches[0] || null;
+  }
+
+  // Drop the oldest resolved reviews beyond the retention limit
+  prune() {
+    const resolved = this.reviews.filter(review => review.state !== 'pending');
+    const excess = resolved.length - this.maxResolvedReviews;
+    if (excess > 0) {
+      const dropped = new Set(resolved.slice(0, excess).map(review => review.id));
+      this.reviews = this.reviews.filter(review => !dropped.has(review.id));
+    }
+  }
+}
+
+ReviewQueue.REVIEW_STATES = REVIEW_STATES;
+
+module.exports = ReviewQueue;
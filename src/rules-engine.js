@@ -0,0 +1,171 @@
+const path = require('path');
+const logger = require('./logger');
+const { cleanFilename } = require('./ai-utils');
+const { expandHome, globToRegExp } = require('./utils/path-helpers');
+const { readImageSize, readImageDate } = require('./utils/image-info');
+const { expandDestination } = require('./destination-template');
+
+/**
+ * Decides where a renamed image belongs. Rules are tried in order after
+ * analysis; the first whose conditions all hold moves the file into its
+ * destination folder.
+ *
+ * A rule looks like:
+ *   { "match": { "keywords": ["error", "exception"] }, "destination": "~/Screenshots/errors" }
+ *   { "match": { "sourceFolder": "~/Work", "after": "2025-01-01" }, "destination": "work/{year}-{month}" }
+ *
+ * Relative destinations are resolved against the image's own folder.
+ */
+class RulesEngine {
+  /**
+   * @param {Array} rules - Rules from the `rules` setting
+   */
+  constructor(rules = []) {
+    this.rules = rules;
+  }
+
+  /**
+   * Gather what rules can match on
+   * @param {string} filePath - Image being renamed
+   * @param {Object} analysis - Analysis from the analyzer
+   * @returns {Promise<Object>} name, keywords, category, sourceFolder, width, height and date
+   */
+  async buildContext(filePath, analysis) {
+    // Match on Unicode-preserving names whatever the filename settings, so rules can use any language
+    const name = cleanFilename(analysis.name, { unicodeFilenames: true });
+    const context = {
+      name,
+      keywords: [...new Set([...name.split(/[_-]+/), ...(analysis.tags || [])])].filter(Boolean),
+      category: analysis.category || null,
+      sourceFolder: path.dirname(path.resolve(filePath)),
+      width: null,
+      height: null,
+      date: new Date()
+    };
+
+    try {
+      context.date = await readImageDate(filePath);
+    } catch (error) {
+      logger.debug(`Could not read file date: ${filePath}`, { error: error.message });
+    }
+
+    if (this.rules.some(rule => this.needsDimensions(rule))) {
+      try {
+        Object.assign(context, await readImageSize(filePath));
+      } catch (error) {
+        logger.debug(`Could not read image size: ${filePath}`, { error: error.message });
+      }
+    }
+
+    return context;
+  }
+
+  needsDimensions(rule) {
+    const match = rule.match || {};
+    return ['minWidth', 'maxWidth', 'minHeight', 'maxHeight'].some(key => match[key] !== undefined);
+  }
+
+  /**
+   * Whether every condition of a rule holds
+   * @param {Object} rule - Rule from the `rules` setting
+   * @param {Object} context - From buildContext()
+   * @returns {boolean}
+   */
+  matches(rule, context) {
+    const match = rule.match || {};
+
+    if (match.name && !new RegExp(globToRegExp(match.name.toLowerCase()).source, 'i').test(context.name)) {
+      return false;
+    }
+
+    if (match.keywords) {
+      const wanted = match.keywords.map(keyword => keyword.toLowerCase());
+      if (!wanted.some(keyword => context.keywords.includes(keyword))) {
+        return false;
+      }
+    }
+
+    if (match.category) {
+      const categories = [].concat(match.category).map(category => category.toLowerCase());
+      if (!context.category || !categories.includes(context.category.toLowerCase())) {
+        return false;
+      }
+    }
+
+    if (match.sourceFolder) {
+      const folder = path.resolve(expandHome(match.sourceFolder));
+      if (context.sourceFolder !== folder && !context.sourceFolder.startsWith(folder + path.sep)) {
+        return false;
+      }
+    }
+
+    const bounds = [
+      ['minWidth', context.width, (value, limit) => value >= limit],
+      ['maxWidth', context.width, (value, limit) => value <= limit],
+      ['minHeight', context.height, (value, limit) => value >= limit],
+      ['maxHeight', context.height, (value, limit) => value <= limit]
+    ];
+    for (const [key, value, holds] of bounds) {
+      if (match[key] !== undefined && (value === null || !holds(value, match[key]))) {
+        return false;
+      }
+    }
+
+    if (match.after && context.date < new Date(match.after)) {
+      return false;
+    }
+
+    if (match.before && context.date >= new Date(match.before)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Expand {year}, {month}, {day} and {category} and resolve the destination folder
+   * @param {string} destination - Destination from the rule
+   * @param {Object} context - From buildContext()
+   * @returns {string} Absolute folder path
+   */
+  resolveDestination(destination, context) {
+    const pad = (value) => String(value).padStart(2, '0');
+    const tokens = {
+      year: context.date.getFullYear(),
+      month: pad(context.date.getMonth() + 1),
+      day: pad(context.date.getDate()),
+      category: cleanFilename(context.category || 'uncategorized', { unicodeFilenames: true })
+    };
+
+    return path.resolve(context.sourceFolder, expandHome(expandDestination(destination, tokens)));
+  }
+
+  /**
+   * Find the destination folder for an image
+   * @param {string} filePath - Image being renamed
+   * @param {Object} analysis - Analysis from the analyzer
+   * @returns {Promise<Object|null>} { rule, directory } for the first matching rule, or null
+   */
+  async findDestination(filePath, analysis) {
+    if (!this.rules.length) {
+      return null;
+    }
+
+    const context = await this.buildContext(filePath, analysis);
+    const index = this.rules.findIndex(rule => this.matches(rule, context));
+    if (index === -1) {
+      return null;
+    }
+
+    const rule = this.rules[index];
+    const directory = this.resolveDestination(rule.destination, context);
+    logger.info(`📂 Rule ${rule.name || index + 1} matched`, {
+      file: path.basename(filePath),
+      destination: directory
+    });
+
+    return { rule, directory };
+  }
+}
+
+module.exports = RulesEngine;
@@ -35,8 +35,12 @@ class SecurityUtils {
 
   /**
    * Sanitize AI-generated filename to be filesystem-safe
+   * @param {string} filename - Proposed name
+   * @param {Object} options
+   * @param {boolean} options.preserveCase - Keep capitals (camelCase, Title Case)
+   * @param {boolean} options.preserveSpaces - Keep single spaces between words
    */
-  sanitizeFilename(filename) {
+  sanitizeFilename(filename, options = {}) {
     if (!filename || typeof filename !== 'string') {
       return 'unnamed_file';
     }
@@ -46,14 +50,20 @@ class SecurityUtils {
       .replace(this.forbiddenChars, '_')
       // Normalize Unicode
       .normalize('NFC')
-      // Replace multiple underscores/spaces with single underscore
-      .replace(/[_\s]+/g, '_')
-      // Remove leading/trailing dots and underscores
-      .replace(/^[._]+|[._]+$/g, '')
-      // Convert to lowercase for consistency
-      .toLowerCase()
-      // Limit length
-      .substring(0, this.maxFilenameLength);
+      // Replace multiple underscores/spaces with single underscore (or space)
+      .replace(/_+/g, '_')
+      .replace(/\s+/g, options.preserveSpaces ? ' ' : '_')
+      .replace(/[_\s]{2,}/g, '_')
+      // Remove leading/trailing dots, underscores and spaces
+      .replace(/^[._\s]+|[._\s]+$/g, '');
+
+    // Convert to lowercase for consistency
+    if (!options.preserveCase) {
+      sanitized = sanitized.toLowerCase();
+    }
+
+    // Limit length, never splitting a surrogate pair
+    sanitized = Array.from(sanitized).slice(0, this.maxFilenameLength).join('');
 
     // Check for forbidden Windows names
     const nameOnly = sanitized.split('.')[0].toUpperCase();
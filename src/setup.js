@@ -6,8 +6,10 @@ const path = require('path');
 const os = require('os');
 const config = require('./config');
 const AnalyzerFactory = require('./analyzers/analyzer-factory');
+const providerRegistry = require('./analyzers/provider-registry');
 const geminiModels = require('./gemini-models');
 const Welcome = require('./welcome');
+const PromptBuilder = require('./prompt-builder');
 
 // Suppress verbose logging during setup to keep interface clean
 const logger = require('./logger');
@@ -60,21 +62,11 @@ class Setup {
           type: 'list',
           name: 'aiProvider',
           message: '🤖 Select your preferred AI companion:',
-          choices: [
-            {
-              name: 'Gemini (Cloud-based)',
-              value: 'gemini'
-            },
-            {
-              name: 'LM Studio (Local)',
-              value: 'lmstudio'
-            },
-            {
-              name: 'Ollama (Local)',
-              value: 'ollama'
-            }
-          ],
-          default: currentConfig.aiProvider || 'gemini'
+          choices: providerRegistry.list().map(provider => ({
+            name: provider.label,
+            value: provider.name
+          })),
+          default: config.getProviderChain(currentConfig)[0]
         }
       ]);
 
@@ -226,6 +218,12 @@ class Setup {
           }
         ]);
         Object.assign(answers, ollamaConfig);
+      } else {
+        // Other providers, plugins included, ask for their own settings
+        const provider = providerRegistry.get(answers.aiProvider);
+        if (provider && provider.setupQuestions) {
+          Object.assign(answers, await this.promptWithFallback(provider.setupQuestions(currentConfig)));
+        }
       }
 
       // Add general preferences
@@ -236,8 +234,19 @@ class Setup {
           message: '📋 Should renamed images be placed on the clipboard automatically?',
           default: currentConfig.copyToClipboard
         },
+        {
+          type: 'confirm',
+          name: 'adjustPrompt',
+          message: '✍️  Would you like to adjust the naming prompt?',
+          default: false
+        }
       ]);
-      Object.assign(answers, preferences);
+      const { adjustPrompt, ...otherPreferences } = preferences;
+      Object.assign(answers, otherPreferences);
+
+      if (adjustPrompt) {
+        Object.assign(answers, await this.configurePrompt({ ...currentConfig, ...answers }));
+      }
 
       return this.completeSetup(answers);
 
@@ -252,6 +261,107 @@ class Setup {
     }
   }
 
+  /**
+   * Choose, edit, preview and reset naming prompt templates
+   * @param {Object} settings - Configuration so far
+   * @returns {Promise<Object>} Prompt settings to save
+   */
+  async configurePrompt(settings) {
+    let current = {
+      promptTemplate: settings.promptTemplate || PromptBuilder.DEFAULT_TEMPLATE_NAME,
+      promptTemplates: { ...(settings.promptTemplates || {}) },
+      promptVariables: { ...(settings.promptVariables || {}) }
+    };
+
+    for (;;) {
+      const builder = new PromptBuilder({ ...settings, ...current });
+      const { action } = await this.promptWithFallback([
+        {
+          type: 'list',
+          name: 'action',
+          message: `📝 Naming prompt (using "${current.promptTemplate}"):`,
+          choices: [
+            { name: 'Preview the prompt', value: 'preview' },
+            { name: 'Choose a template', value: 'choose' },
+            { name: 'Edit the current template', value: 'edit' },
+            { name: 'Set a variable (examples, glossary, maxLength...)', value: 'variable' },
+            { name: 'Reset prompts to their defaults', value: 'reset' },
+            { name: 'Done', value: 'done' }
+          ]
+        }
+      ]);
+
+      if (action === 'done') {
+        return current;
+      }
+
+      if (action === 'preview') {
+        console.log(`\n${builder.build()}\n`);
+      } else if (action === 'choose') {
+        const { name } = await this.promptWithFallback([
+          {
+            type: 'list',
+            name: 'name',
+            message: 'Template:',
+            choices: builder.getTemplateNames(),
+            default: current.promptTemplate
+          }
+        ]);
+        current.promptTemplate = name;
+      } else if (action === 'edit') {
+        const text = await this.editPromptTemplate(current.promptTemplate, builder.getTemplate(current.promptTemplate));
+        current.promptTemplates[current.promptTemplate] = text;
+      } else if (action === 'variable') {
+        const { assignment } = await this.promptWithFallback([
+          {
+            type: 'input',
+            name: 'assignment',
+            message: 'Variable as name=value (lists are comma-separated, an empty value removes it):',
+            validate: (input) => {
+              try {
+                PromptBuilder.parseVariable(input);
+                return true;
+              } catch (error) {
+                return error.message;
+              }
+            }
+          }
+        ]);
+        const [name, value] = PromptBuilder.parseVariable(assignment);
+        if (value === undefined) {
+          delete current.promptVariables[name];
+        } else {
+          current.promptVariables[name] = value;
+        }
+      } else if (action === 'reset') {
+        current = { ...current, ...PromptBuilder.reset(current) };
+        console.log('✓ Prompts restored to their defaults.');
+      }
+
+      const errors = new PromptBuilder({ ...settings, ...current }).validate();
+      errors.forEach(error => console.log(`⚠️  ${error}`));
+    }
+  }
+
+  /**
+   * Edit a prompt template in the user's editor
+   * @param {string} name - Template name
+   * @param {string} text - Current text
+   * @returns {Promise<string>} Edited text
+   */
+  async editPromptTemplate(name, text = '') {
+    const { template } = await this.promptWithFallback([
+      {
+        type: 'editor',
+        name: 'template',
+        message: `Edit the "${name}" prompt template ({{examples}}, {{glossary}}, {{maxLength}}, {{language}}, {{style}}):`,
+        default: text,
+        validate: (input) => (input.trim() ? true : 'A prompt cannot be empty.')
+      }
+    ]);
+    return template.trim();
+  }
+
   async promptWithFallback(questions) {
     try {
       return await inquirer.prompt(questions);
@@ -268,7 +378,10 @@ class Setup {
     const currentConfig = config.load();
     
     // Parse command line arguments
-    const provider = this.getArgValue('--ai-provider') || currentConfig.aiProvider;
+    // A comma-separated --ai-provider, such as lmstudio,gemini, sets a fallback chain
+    const providerArg = this.getArgValue('--ai-provider');
+    const chain = providerArg ? providerArg.split(',').map(name => name.trim()).filter(Boolean) : [];
+    const provider = providerArg ? (chain.length > 1 ? chain : chain[0]) : currentConfig.aiProvider;
     const answers = {
       watchFolder: this.getArgValue('--folder') || currentConfig.watchFolder,
       aiProvider: provider,
@@ -278,10 +391,13 @@ class Setup {
       ollamaBaseUrl: this.getArgValue('--ollama-base-url') || currentConfig.ollamaBaseUrl,
       lmstudioModel: this.getArgValue('--lmstudio-model') || currentConfig.lmstudioModel,
       lmstudioBaseUrl: this.getArgValue('--lmstudio-base-url') || currentConfig.lmstudioBaseUrl,
+      openaiBaseUrl: this.getArgValue('--openai-base-url') || currentConfig.openaiBaseUrl,
+      openaiApiKey: this.getArgValue('--openai-api-key') || currentConfig.openaiApiKey,
+      openaiModel: this.getArgValue('--openai-model') || currentConfig.openaiModel,
     };
 
     // If no API key provided for Gemini, show instructions
-    if (answers.aiProvider === 'gemini' && !answers.geminiApiKey) {
+    if (config.getProviderChain(answers).includes('gemini') && !answers.geminiApiKey) {
       console.log('🔑 Google Gemini API Key Required');
       console.log('================================');
       console.log('1. Visit: https://aistudio.google.com/apikey');
@@ -331,8 +447,8 @@ class Setup {
       process.exit(1);
     }
 
-    // Save configuration
-    const success = config.save(answers);
+    // Save configuration, keeping settings not covered by setup (profiles, rules, prompts...)
+    const success = config.update(answers);
     if (!success) {
       Welcome.showError('Failed to save configuration');
       process.exit(1);
@@ -352,7 +468,7 @@ in an interactive terminal or by starting the service.
     }
 
     // Test the configured provider
-    const provider = answers.aiProvider;
+    const provider = config.getProviderChain(answers).join(' → ');
     console.log(`\n🧪 Testing ${provider} connection...`);
     
     let analyzer, apiTest;
@@ -379,27 +495,9 @@ Setup complete! Your screenshots will now be automatically renamed with AI.
 3. Watch them get perfect AI names!
       `);
     } else {
-      let errorMessages;
-      if (provider === 'gemini') {
-        errorMessages = [
-          'Check your API key is correct',
-          'Ensure you have internet connection',
-          'Visit https://aistudio.google.com/apikey to get a new key'
-        ];
-      } else if (provider === 'lmstudio') {
-        errorMessages = [
-          'Make sure LM Studio is running',
-          'Verify the server address is correct',
-          'Check that a vision model (like llava) is loaded'
-        ];
-      } else if (provider === 'ollama') {
-        errorMessages = [
-          'Make sure Ollama is installed and running',
-          'Try: curl -fsSL https://ollama.com/install.sh | sh',
-          'Then: ollama pull llava',
-          'Verify the server address is correct'
-        ];
-      }
+      const errorMessages = apiTest.results
+        ? apiTest.results.map(result => `${result.provider}: ${result.error}`)
+        : providerRegistry.get(answers.aiProvider).hints;
       
       Welcome.showError(`${provider} connection failed`, [
         ...errorMessages,
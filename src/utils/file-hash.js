@@ -0,0 +1,25 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Utility functions for identifying files by content
+ */
+
+/**
+ * SHA-256 of a file's contents, streamed so large images aren't held in memory
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+module.exports = {
+  hashFile
+};
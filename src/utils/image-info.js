@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+/**
+ * Utility functions for reading basic image metadata without decoding pixels
+ */
+
+// JPEG start-of-frame markers that carry the image size (excludes DHT, JPG and DAC)
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function readPngSize(buffer) {
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  return null;
+}
+
+function readJpegSize(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+function readGifSize(buffer) {
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  return null;
+}
+
+function readBmpSize(buffer) {
+  if (buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM') {
+    return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+  }
+  return null;
+}
+
+function readWebpSize(buffer) {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8X') {
+    return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+  return null;
+}
+
+/**
+ * Read an image's pixel dimensions from its header
+ * Supports PNG, JPEG, GIF, BMP and WebP.
+ * @param {string} filePath - Image to inspect
+ * @returns {Promise<Object|null>} { width, height }, or null when unknown
+ */
+async function readImageSize(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  const readers = [readPngSize, readJpegSize, readGifSize, readBmpSize, readWebpSize];
+
+  for (const reader of readers) {
+    const size = reader(buffer);
+    if (size) return size;
+  }
+
+  return null;
+}
+
+/**
+ * When an image was taken: its creation time where the filesystem records
+ * one, otherwise its modification time
+ * @param {string} filePath - Image to inspect
+ * @returns {Promise<Date>} Date
+ */
+async function readImageDate(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  // birthtime is 0 on filesystems that don't record it
+  return stats.birthtimeMs > 0 ? stats.birthtime : stats.mtime;
+}
+
+module.exports = {
+  readImageSize,
+  readImageDate
+};
@@ -1,4 +1,4 @@
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 
 /**
  * Utility functions for macOS-specific operations
@@ -30,6 +30,13 @@ function executeAppleScript(script, options = {}) {
  * Display a macOS notification
  * @param {string} message - Notification message
  * @param {string} title - Notification title (default: 'Screenshot Renamer')
+ * @throws {Error} If the notification can't be shown
+ */
+function showNotification(message, title = 'Screenshot Renamer') {
+  // AppleScript string literals escape quotes and backslashes as JSON does
+  const script = `display notification ${JSON.stringify(message)} with title ${JSON.stringify(title)}`;
+  return executeFile('osascript', ['-e', script]);
+}
 
 /**
  * Execute a command that returns output (for notification commands that return strings)
@@ -52,7 +59,31 @@ function executeCommand(command, options = {}) {
   }
 }
 
+/**
+ * Execute a program directly, without a shell, so arguments need no quoting
+ * @param {string} file - Program to run
+ * @param {string[]} args - Arguments passed verbatim
+ * @param {Object} options - Options for execFileSync
+ * @returns {string} Command output
+ */
+function executeFile(file, args = [], options = {}) {
+  const defaultOptions = {
+    stdio: 'pipe',
+    timeout: 10000
+  };
+
+  const execOptions = { ...defaultOptions, ...options };
+
+  try {
+    return execFileSync(file, args, execOptions);
+  } catch (error) {
+    throw new Error(`Command execution failed: ${error.message}`);
+  }
+}
+
 module.exports = {
   executeAppleScript,
-  executeCommand
+  executeCommand,
+  executeFile,
+  showNotification
 };
\ No newline at end of file
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Utility functions for resolving user-supplied paths and globs
+ */
+
+const GLOB_CHARS = /[*?[{]/;
+
+/**
+ * Expand a leading ~ to the user's home directory
+ * @param {string} input - Path as typed by the user
+ * @returns {string} Path with ~ expanded
+ */
+function expandHome(input) {
+  if (input === '~') return os.homedir();
+  if (input.startsWith('~/')) return path.join(os.homedir(), input.slice(2));
+  return input;
+}
+
+/**
+ * Convert a glob pattern to a regular expression.
+ * Supports *, ?, ** (any depth), [abc] and {a,b}.
+ * @param {string} pattern - Glob relative to its base directory
+ * @returns {RegExp} Anchored expression matching relative paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively list files below a directory
+ * @param {string} directory - Directory to walk
+ * @param {boolean} recursive - Descend into subdirectories
+ * @returns {Promise<string[]>} Absolute file paths, dotfiles excluded
+ */
+async function listFiles(directory, recursive) {
+  const files = [];
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) {
+        files.push(...await listFiles(fullPath, recursive));
+      }
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Resolve files, folders and glob patterns to a sorted, de-duplicated file list
+ * @param {string[]} inputs - Paths or globs as given on the command line
+ * @param {Object} options
+ * @param {boolean} options.recursive - Descend into subfolders of folder inputs
+ * @returns {Promise<{files: string[], missing: string[]}>}
+ */
+async function expandPaths(inputs, options = {}) {
+  const files = new Set();
+  const missing = [];
+
+  for (const input of inputs) {
+    const expanded = path.resolve(expandHome(input));
+
+    if (GLOB_CHARS.test(input)) {
+      // Walk from the deepest directory without glob characters
+      const segments = expanded.split(path.sep);
+      const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+      const baseDir = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+      const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+      const deep = segments.slice(firstGlob).length > 1 || input.includes('**');
+
+      if (!fs.existsSync(baseDir)) {
+        missing.push(input);
+        continue;
+      }
+
+      const matches = (await listFiles(baseDir, deep))
+        .filter(file => matcher.test(path.relative(baseDir, file).split(path.sep).join('/')));
+      if (matches.length === 0) {
+        missing.push(input);
+      }
+      matches.forEach(file => files.add(file));
+      continue;
+    }
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(expanded);
+    } catch (error) {
+      missing.push(input);
+      continue;
+    }
+
+    if (stats.isDirectory()) {
+      (await listFiles(expanded, options.recursive)).forEach(file => files.add(file));
+    } else {
+      files.add(expanded);
+    }
+  }
+
+  return { files: Array.from(files).sort(), missing };
+}
+
+module.exports = {
+  expandHome,
+  globToRegExp,
+  expandPaths
+};
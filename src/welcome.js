@@ -1,4 +1,5 @@
 const chalk = require('chalk');
+const providerRegistry = require('./analyzers/provider-registry');
 
 class Welcome {
   static show() {
@@ -25,18 +26,25 @@ Then, simply introduce images to your designated folder and observe the transfor
   static showCurrentSettings(config) {
     console.log('Current arrangements:');
     console.log(`  📁 Observed Folder: ${config.watchFolder}`);
-    console.log(`  🤖 AI Companion: ${config.aiProvider || 'gemini'}`);
+    console.log(`  🤖 AI Companion: ${[].concat(config.aiProvider || 'gemini').join(' → ')}`);
     console.log(`  🔑 API Key: ${config.geminiApiKey ? '✓ Configured' : '✗ Not set'}`);
     console.log(`  📋 Clipboard Integration: ${config.copyToClipboard ? 'Enabled' : 'Disabled'}`);
   }
 
   static showStatus(config, isServiceRunning = false) {
+    const folders = Array.isArray(config.watchFolders) && config.watchFolders.length > 0
+      ? config.watchFolders.map(folder => `\n      ${chalk.gray('•')} ${folder.path}${folder.name ? chalk.gray(` (${folder.name})`) : ''}`).join('')
+      : (config.watchFolder || chalk.red('Not set'));
+
     console.log(chalk.blue(`
     ${chalk.bold('Current State')}
     ──────────────────
-    ${chalk.yellow('Observed Folder:')} ${config.watchFolder || chalk.red('Not set')}
+    ${chalk.yellow('Observed Folder:')} ${folders}
+    ${chalk.yellow('AI Companion:')} ${[].concat(config.aiProvider || 'gemini').join(' → ')}
+    ${chalk.yellow('Providers:')} ${providerRegistry.list().map(provider => provider.source ? `${provider.name} ${chalk.gray('(plugin)')}` : provider.name).join(', ')}
     ${chalk.yellow('API Key:')} ${config.geminiApiKey ? chalk.green('✓ Configured') : chalk.red('✗ Missing')}
     ${chalk.yellow('Clipboard:')} ${config.copyToClipboard ? chalk.green('Enabled') : chalk.gray('Disabled')}
+    ${chalk.yellow('Language:')} ${config.outputLanguage || 'English'}
     ${chalk.yellow('Service:')} ${isServiceRunning ? chalk.green('🟢 Active') : chalk.red('🔴 Dormant')}
     `));
   }
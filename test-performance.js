@@ -76,7 +76,7 @@ async function testPerformance() {
       const endTime = Date.now();
       const timeTaken = endTime - startTime;
       
-      console.log(`   ✅ Result: "${result}"`);
+      console.log(`   ✅ Result: "${result.name}"${result.category ? ` (${result.category})` : ''}`);
       console.log(`   ⏱️  Time: ${(timeTaken / 1000).toFixed(1)} seconds`);
       
       // Performance evaluation
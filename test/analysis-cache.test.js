@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const AnalysisCache = require('../src/analysis-cache');
+
+const parts = { contentHash: 'abc123', provider: 'gemini', model: 'gemini-2.0-flash', promptVersion: 'v1' };
+
+function createCache(t, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new AnalysisCache(path.join(dir, 'analysis-cache.json'), options);
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('keys differ by image, provider, model and prompt', () => {
+  const key = AnalysisCache.createKey(parts);
+
+  assert.equal(AnalysisCache.createKey({ ...parts }), key);
+  for (const change of [{ contentHash: 'def456' }, { provider: 'ollama' }, { model: 'other' }, { promptVersion: 'v2' }]) {
+    assert.notEqual(AnalysisCache.createKey({ ...parts, ...change }), key);
+  }
+});
+
+test('a miss, then a hit once the analysis is stored', (t) => {
+  const cache = createCache(t);
+  const key = AnalysisCache.createKey(parts);
+
+  assert.equal(cache.get(key), undefined);
+  cache.set(key, { name: 'login_form' });
+  assert.deepEqual(cache.get(key), { name: 'login_form' });
+  assert.equal(cache.get(AnalysisCache.createKey({ ...parts, model: 'other' })), undefined);
+
+  // Another process reading the same file sees it too
+  assert.deepEqual(new AnalysisCache(cache.cachePath).get(key), { name: 'login_form' });
+});
+
+test('a hit does not rewrite the cache file', (t) => {
+  const cache = createCache(t);
+  const key = AnalysisCache.createKey(parts);
+  cache.set(key, { name: 'login_form' });
+
+  const save = t.mock.method(cache, 'save');
+  cache.get(key);
+  cache.get(key);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('the least recently used entry is evicted, counting hits', async (t) => {
+  const cache = createCache(t, { maxEntries: 2 });
+  const keys = ['a', 'b', 'c'].map(contentHash => AnalysisCache.createKey({ ...parts, contentHash }));
+
+  cache.set(keys[0], { name: 'first' });
+  await tick();
+  cache.set(keys[1], { name: 'second' });
+  await tick();
+  cache.get(keys[0]);
+  await tick();
+  cache.set(keys[2], { name: 'third' });
+
+  assert.deepEqual(cache.get(keys[0]), { name: 'first' });
+  assert.equal(cache.get(keys[1]), undefined);
+  assert.equal(cache.size(), 2);
+});
+
+test('expired entries are misses and are dropped on the next write', (t) => {
+  const cache = createCache(t, { ttlDays: 1 });
+  const old = AnalysisCache.createKey(parts);
+  cache.set(old, { name: 'stale' });
+
+  const data = JSON.parse(fs.readFileSync(cache.cachePath, 'utf8'));
+  data.entries[old].createdAt = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(cache.cachePath, JSON.stringify(data));
+
+  assert.equal(cache.get(old), undefined);
+  cache.set(AnalysisCache.createKey({ ...parts, contentHash: 'fresh' }), { name: 'fresh' });
+  assert.equal(cache.size(), 1);
+});
+
+test('clear empties the cache', (t) => {
+  const cache = createCache(t);
+  cache.set(AnalysisCache.createKey(parts), { name: 'login_form' });
+  cache.clear();
+  assert.equal(cache.size(), 0);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  ANALYSIS_JSON_SCHEMA,
+  createAnalysis,
+  createFallbackAnalysis,
+  parseStructuredAnalysis,
+  normalizeAnalysis
+} = require('../src/analysis-schema');
+
+test('a structured answer is validated and cleaned', () => {
+  const answer = JSON.stringify({
+    name: 'Login Page Error',
+    description: 'Safari showing a failed sign-in',
+    tags: ['Auth Flow', 'auth flow', '!!'],
+    category: 'Web App',
+    detectedApp: 'Safari',
+    confidence: 0.85,
+    alternatives: ['login page error', 'Sign In Failure']
+  });
+
+  assert.deepEqual(parseStructuredAnalysis(answer), {
+    name: 'login_page_error',
+    description: 'Safari showing a failed sign-in',
+    tags: ['auth_flow'],
+    category: 'web_app',
+    detectedApp: 'Safari',
+    confidence: 0.85,
+    alternatives: ['sign_in_failure']
+  });
+});
+
+test('missing fields get defaults and fences are unwrapped', () => {
+  assert.deepEqual(parseStructuredAnalysis('```json\n{"name": "chart", "category": null}\n```'), {
+    name: 'chart',
+    description: '',
+    tags: [],
+    category: null,
+    detectedApp: null,
+    confidence: null,
+    alternatives: []
+  });
+});
+
+test('percentages are read as confidence', () => {
+  assert.equal(parseStructuredAnalysis('{"name": "chart", "confidence": 72}').confidence, 0.72);
+  assert.equal(parseStructuredAnalysis('{"name": "chart", "confidence": 1}').confidence, 1);
+});
+
+test('invalid answers throw retryable errors', () => {
+  const cases = [
+    ['nope', /did not return valid JSON/],
+    ['{"name": ""}', /invalid analysis \(name: Analysis name cannot be empty\)/],
+    ['{"name": "chart", "confidence": 150}', /confidence: Number must be less than or equal to 1/],
+    ['{"name": "chart", "tags": "auth"}', /tags: Expected array, received string/],
+    ['[]', /analysis: Expected object, received array/]
+  ];
+
+  for (const [text, message] of cases) {
+    assert.throws(() => parseStructuredAnalysis(text), (error) => message.test(error.message) && error.retryable === true, text);
+  }
+});
+
+test('the JSON schema requires every field for strict outputs', () => {
+  assert.deepEqual([...ANALYSIS_JSON_SCHEMA.required].sort(), Object.keys(ANALYSIS_JSON_SCHEMA.properties).sort());
+  assert.equal(ANALYSIS_JSON_SCHEMA.additionalProperties, false);
+});
+
+test('bare-text answers carry the name, and numbered candidates as alternatives', () => {
+  assert.equal(createAnalysis('Sales Chart').name, 'sales_chart');
+  assert.deepEqual(createAnalysis('Sales Chart').alternatives, []);
+
+  const several = createAnalysis('1. Sales Chart\n2) revenue graph\n- sales chart\n', { candidateCount: 3 });
+  assert.equal(several.name, 'sales_chart');
+  assert.deepEqual(several.alternatives, ['revenue_graph']);
+});
+
+test('fallbacks and stored analyses take the full shape', () => {
+  const fallback = createFallbackAnalysis('/shots/Screenshot 1.png');
+  assert.equal(fallback.fallback, true);
+  assert.deepEqual(fallback.tags, []);
+
+  assert.deepEqual(normalizeAnalysis('old_name'), { ...normalizeAnalysis({}), name: 'old_name' });
+  assert.equal(normalizeAnalysis({ name: 'x', confidence: 0.5 }).confidence, 0.5);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configuration and state are read from a throwaway home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const config = require('../src/config');
+const BatchRenamer = require('../src/batch-renamer');
+const RenamePlan = require('../src/rename-plan');
+
+/**
+ * A BatchRenamer whose pipeline records the options it is called with
+ * instead of asking a provider
+ */
+function createRenamer(t) {
+  t.mock.method(console, 'log', () => {});
+  const renamer = new BatchRenamer();
+  renamer.calls = [];
+  renamer.pipeline.isAlreadyProcessed = async () => false;
+  renamer.pipeline.processFile = async (filePath, fileConfig, options) => {
+    renamer.calls.push(options);
+    return { filePath, status: 'renamed', newFilePath: path.join(path.dirname(filePath), 'named.png') };
+  };
+  return renamer;
+}
+
+function createImages(t, names) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-batch-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  names.forEach(name => fs.writeFileSync(path.join(dir, name), ''));
+  return dir;
+}
+
+test('--clipboard copies each renamed image', async (t) => {
+  const dir = createImages(t, ['a.png', 'b.png']);
+  const renamer = createRenamer(t);
+
+  const summary = await renamer.run([dir], { clipboard: true });
+
+  assert.equal(summary.renamed.length, 2);
+  assert.deepEqual(renamer.calls.map(options => options.copyToClipboard), [true, true]);
+});
+
+test('without --clipboard nothing is copied', async (t) => {
+  const dir = createImages(t, ['a.png']);
+  const renamer = createRenamer(t);
+
+  await renamer.run([dir], {});
+
+  assert.equal(renamer.calls[0].copyToClipboard, false);
+});
+
+test('a plan that cannot be written is reported, not thrown', async (t) => {
+  const dir = createImages(t, ['a.png']);
+  const renamer = createRenamer(t);
+  renamer.pipeline.processFile = async (filePath) => ({ filePath, status: 'planned', newFilePath: path.join(dir, 'named.png') });
+  t.after(() => { process.exitCode = undefined; });
+
+  const planPath = path.join(dir, 'missing', 'plan.json');
+  const summary = await renamer.run([dir], { dryRun: true, planPath });
+
+  assert.equal(summary.planned.length, 1);
+  assert.equal(summary.failed.length, 1);
+  assert.equal(summary.failed[0].filePath, planPath);
+  assert.match(summary.failed[0].error, /ENOENT/);
+  assert.equal(process.exitCode, 1);
+  assert.ok(console.log.mock.calls.some(call => /Could not write plan/.test(call.arguments[0])));
+});
+
+test('applying a plan marks files with their watch folder settings', async (t) => {
+  const dir = createImages(t, ['a.png', 'b.png']);
+  const watched = path.join(dir, 'watched');
+  fs.mkdirSync(watched);
+  fs.renameSync(path.join(dir, 'b.png'), path.join(watched, 'b.png'));
+  t.mock.method(config, 'load', () => ({
+    ...config.defaultConfig,
+    processedXattr: false,
+    watchFolders: [{ path: watched, processedXattr: true }]
+  }));
+
+  const planPath = path.join(dir, 'plan.json');
+  new RenamePlan([
+    { from: path.join(dir, 'a.png'), to: path.join(dir, 'first.png') },
+    { from: path.join(watched, 'b.png'), to: path.join(watched, 'second.png') }
+  ]).save(planPath);
+
+  const renamer = createRenamer(t);
+  const marked = {};
+  renamer.pipeline.markProcessed = async (newPath, settings) => { marked[path.basename(newPath)] = settings.processedXattr; };
+
+  const summary = await renamer.applyPlan(planPath);
+
+  assert.equal(summary.renamed.length, 2);
+  assert.deepEqual(marked, { 'first.png': false, 'second.png': true });
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Provider health is recorded under the home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const CompositeAnalyzer = require('../src/analyzers/composite-analyzer');
+const { RetryingAnalyzer } = require('../src/analyzers/retry');
+const providerHealth = require('../src/analyzers/provider-health');
+
+/**
+ * A chain link whose analyzer answers with the given analysis (or the
+ * result of calling it) and records the order it was asked in
+ */
+function link(provider, answer, asked) {
+  return {
+    provider,
+    analyzer: {
+      analyzeImage: async (imagePath) => {
+        asked.push(provider);
+        return typeof answer === 'function' ? answer(imagePath) : answer;
+      },
+      testConnection: async () => (answer && !answer.fallback
+        ? { success: true }
+        : { success: false, error: `${provider} is down` })
+    }
+  };
+}
+
+const named = (name) => ({ name, keywords: [], fallback: false });
+const failed = { name: 'fallback-name', fallback: true };
+const offline = { name: 'fallback-name', fallback: true, unavailable: true };
+
+test('a chain needs at least one provider', () => {
+  assert.throws(() => new CompositeAnalyzer([]), /at least one provider/);
+});
+
+test('the first provider that names the image wins and the rest are not asked', async () => {
+  const asked = [];
+  const analyzer = new CompositeAnalyzer([
+    link('lmstudio', named('sunset-over-lake'), asked),
+    link('gemini', named('lake-at-dusk'), asked)
+  ]);
+
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.equal(analysis.name, 'sunset-over-lake');
+  assert.equal(analysis.provider, 'lmstudio');
+  assert.deepEqual(asked, ['lmstudio']);
+  assert.equal(analyzer.provider, 'lmstudio → gemini');
+});
+
+test('providers are tried in order until one names the image', async () => {
+  const asked = [];
+  const analyzer = new CompositeAnalyzer([
+    link('lmstudio', offline, asked),
+    link('ollama', failed, asked),
+    link('gemini', named('invoice-from-acme'), asked),
+    link('openai', named('never-asked'), asked)
+  ]);
+
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.equal(analysis.name, 'invoice-from-acme');
+  assert.equal(analysis.provider, 'gemini');
+  assert.deepEqual(asked, ['lmstudio', 'ollama', 'gemini']);
+});
+
+test('an empty name counts as a failure', async () => {
+  const asked = [];
+  const analyzer = new CompositeAnalyzer([
+    link('lmstudio', named('   '), asked),
+    link('gemini', named('chart-of-sales'), asked)
+  ]);
+
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.equal(analysis.provider, 'gemini');
+  assert.deepEqual(asked, ['lmstudio', 'gemini']);
+});
+
+test('when every provider fails the fallback name is used', async () => {
+  const asked = [];
+  const analyzer = new CompositeAnalyzer([
+    link('lmstudio', offline, asked),
+    link('gemini', failed, asked)
+  ]);
+
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.ok(analysis.fallback);
+  assert.ok(!analysis.unavailable);
+  assert.equal(analysis.provider, undefined);
+  assert.deepEqual(asked, ['lmstudio', 'gemini']);
+});
+
+test('when no provider can be reached the analysis is marked unavailable', async () => {
+  const asked = [];
+  const analyzer = new CompositeAnalyzer([
+    link('lmstudio', offline, asked),
+    link('ollama', offline, asked)
+  ]);
+
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.ok(analysis.fallback);
+  assert.ok(analysis.unavailable);
+});
+
+test('a provider whose circuit is open is passed over without being asked', async () => {
+  const settings = { maxRetries: 0, circuitBreakerThreshold: 1, circuitBreakerCooldown: 60000 };
+  const asked = [];
+  const bare = (provider, answer) => link(provider, answer, asked).analyzer;
+
+  providerHealth.recordFailure('chain-open', new Error('fetch failed'), settings);
+  const analyzer = new CompositeAnalyzer([
+    { provider: 'chain-open', analyzer: new RetryingAnalyzer(bare('chain-open', named('stale')), { ...settings, aiProvider: 'chain-open' }) },
+    { provider: 'chain-closed', analyzer: new RetryingAnalyzer(bare('chain-closed', named('fresh-name')), { ...settings, aiProvider: 'chain-closed' }) }
+  ]);
+
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.equal(analysis.name, 'fresh-name');
+  assert.equal(analysis.provider, 'chain-closed');
+  assert.deepEqual(asked, ['chain-closed']);
+});
+
+test('every open circuit leaves the image unavailable', async () => {
+  const settings = { maxRetries: 0, circuitBreakerThreshold: 1, circuitBreakerCooldown: 60000 };
+  const asked = [];
+
+  providerHealth.recordFailure('all-open', new Error('fetch failed'), settings);
+  const analyzer = new CompositeAnalyzer([
+    { provider: 'all-open', analyzer: new RetryingAnalyzer(link('all-open', named('stale'), asked).analyzer, { ...settings, aiProvider: 'all-open' }) }
+  ]);
+
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.ok(analysis.unavailable);
+  assert.deepEqual(asked, []);
+});
+
+test('testConnection reports the first provider that answers, with every result', async () => {
+  const asked = [];
+  const analyzer = new CompositeAnalyzer([
+    link('lmstudio', offline, asked),
+    link('gemini', named('ok'), asked)
+  ]);
+
+  const result = await analyzer.testConnection();
+  assert.ok(result.success);
+  assert.equal(result.provider, 'gemini');
+  assert.deepEqual(result.results.map(r => [r.provider, r.success]), [['lmstudio', false], ['gemini', true]]);
+});
+
+test('testConnection joins the errors when no provider answers', async () => {
+  const asked = [];
+  const analyzer = new CompositeAnalyzer([
+    link('lmstudio', offline, asked),
+    link('ollama', failed, asked)
+  ]);
+
+  const result = await analyzer.testConnection();
+  assert.ok(!result.success);
+  assert.equal(result.error, 'lmstudio: lmstudio is down; ollama: ollama is down');
+});
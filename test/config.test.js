@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configuration is read from a throwaway home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const config = require('../src/config');
+
+function validConfig(t, overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return { ...config.defaultConfig, watchFolder: dir, ...overrides };
+}
+
+test('getUpdateErrors rejects values the schema does not allow', (t) => {
+  const current = validConfig(t);
+
+  assert.deepEqual(config.getUpdateErrors({ promptVariables: { maxLength: 50 } }, current), []);
+  assert.deepEqual(config.getUpdateErrors({ promptVariables: { maxLength: 500 } }, current),
+    ['promptVariables.maxLength: Number must be less than or equal to 200']);
+  assert.deepEqual(config.getUpdateErrors({ promptTemplates: { mine: '' }, promptTemplate: 'mine' }, current),
+    ['promptTemplates.mine: Prompt template cannot be empty']);
+});
+
+test('getUpdateErrors ignores problems the configuration already had', (t) => {
+  const current = validConfig(t, { watchFolder: path.join(os.tmpdir(), 'renamer-no-such-folder') });
+
+  assert.deepEqual(config.getUpdateErrors({ namingStyle: 'kebab-case' }, current), []);
+  assert.equal(config.getUpdateErrors({ promptVariables: { maxLength: 5 } }, current).length, 1);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// State files (journal, caches) go to a throwaway home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const {
+  parseTemplate,
+  validateTemplate,
+  usesToken,
+  formatDate,
+  renderTemplate
+} = require('../src/filename-template');
+const RenamePipeline = require('../src/rename-pipeline');
+
+const date = new Date(2025, 5, 7, 9, 4, 5);
+
+test('parseTemplate splits text, tokens and formats', () => {
+  assert.deepEqual(parseTemplate('{date:YYYY-MM}_{desc}'), [
+    { token: 'date', format: 'YYYY-MM' },
+    { text: '_' },
+    { token: 'desc', format: null }
+  ]);
+  assert.throws(() => parseTemplate('{desc'), /Unbalanced "\{"/);
+  assert.throws(() => parseTemplate('desc}'), /Unbalanced "\}"/);
+});
+
+test('validateTemplate accepts known tokens and explains problems', () => {
+  assert.deepEqual(validateTemplate('{date:YYYY-MM-DD}_{desc}'), []);
+  assert.match(validateTemplate('{nope}')[0], /Unknown filename template token \{nope\}/);
+  assert.deepEqual(validateTemplate('{desc:YYYY}'), ['Token {desc} does not take a format']);
+  assert.match(validateTemplate('{date:week}')[0], /uses none of/);
+  assert.deepEqual(validateTemplate('plain'), ['Filename template needs at least one token, such as {desc}']);
+  assert.ok(validateTemplate('{category}/{desc}').includes('Filename template cannot contain path separators'));
+});
+
+test('usesToken looks at tokens, not text', () => {
+  assert.ok(usesToken('{date}_{desc}', 'date'));
+  assert.ok(!usesToken('date_{desc}', 'date'));
+});
+
+test('formatDate fills every part with zero padding', () => {
+  assert.equal(formatDate(date, 'YYYY-MM-DD HH:mm:ss'), '2025-06-07 09:04:05');
+  assert.equal(formatDate(date, 'YY.MM'), '25.06');
+});
+
+test('renderTemplate fills tokens and strips unsafe characters', () => {
+  const values = { desc: 'login_screen', date, tags: ['auth', 'web'], width: 800, height: 600, original: 'Shot: 1' };
+  assert.equal(renderTemplate('{date}_{desc}', values), '2025-06-07_login_screen');
+  assert.equal(renderTemplate('{time}', values), '09-04-05');
+  assert.equal(renderTemplate('{desc}-{tags}-{width}x{height}', values), 'login_screen-auth-web-800x600');
+  assert.equal(renderTemplate('{original} - {desc}', values), 'Shot 1 - login_screen');
+});
+
+test('renderTemplate drops the separator of an empty token', () => {
+  assert.equal(renderTemplate('{category}_{desc}', { desc: 'chart' }), 'chart');
+  assert.equal(renderTemplate('{desc}_{category}', { desc: 'chart' }), 'chart');
+  assert.equal(renderTemplate('{desc}_{category}', { desc: 'chart', category: 'finance' }), 'chart_finance');
+});
+
+test('renderTemplate numbers collisions', () => {
+  assert.equal(renderTemplate('{desc}', { desc: 'chart' }, 1), 'chart');
+  assert.equal(renderTemplate('{desc}', { desc: 'chart' }, 3), 'chart_3');
+  assert.equal(renderTemplate('{desc}-{counter}', { desc: 'chart' }, 3), 'chart-3');
+});
+
+test('generateFileName counts past taken and reserved names', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-names-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'sales_chart.png'), '');
+  fs.writeFileSync(path.join(dir, 'sales_chart_2.png'), '');
+
+  const pipeline = new RenamePipeline();
+  const analysis = { name: 'sales chart' };
+  const settings = { filenameTemplate: '{desc}' };
+
+  assert.equal(await pipeline.generateFileName(analysis, '.png', dir, new Set(), null, settings), 'sales_chart_3.png');
+
+  const reserved = new Set([path.join(dir, 'sales_chart_3.png')]);
+  assert.equal(await pipeline.generateFileName(analysis, '.png', dir, reserved, null, settings), 'sales_chart_4.png');
+
+  // The file being renamed never collides with itself
+  const current = path.join(dir, 'sales_chart.png');
+  assert.equal(await pipeline.generateFileName(analysis, '.png', dir, new Set(), current, settings), 'sales_chart.png');
+});
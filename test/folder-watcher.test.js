@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Configuration and state are read from a throwaway home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const config = require('../src/config');
+const FolderWatcher = require('../src/folder-watcher');
+const ProcessingQueue = require('../src/processing-queue');
+const AnalyzerFactory = require('../src/analyzers/analyzer-factory');
+
+/**
+ * Two watch folders, one using LM Studio and one using Gemini, each
+ * holding the given images
+ */
+function createFolders(t, names) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-watch-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const local = path.join(dir, 'local');
+  const cloud = path.join(dir, 'cloud');
+  [local, cloud].forEach(folder => {
+    fs.mkdirSync(folder);
+    names.forEach(name => fs.writeFileSync(path.join(folder, name), ''));
+  });
+
+  t.mock.method(config, 'load', () => ({
+    ...config.defaultConfig,
+    healthProbeInterval: 0,
+    watchFolders: [
+      { path: local, aiProvider: 'lmstudio' },
+      { path: cloud, aiProvider: 'gemini' }
+    ]
+  }));
+  return { dir, local, cloud };
+}
+
+/**
+ * A FolderWatcher with its own queue whose pipeline defers every image
+ * while `online` has no provider in the image's chain, and names it once
+ * one is there
+ */
+function createWatcher(t, dir, online) {
+  const watcher = new FolderWatcher();
+  watcher.queue = new ProcessingQueue(path.join(dir, 'queue.json'));
+  watcher.delay = async () => {};
+  watcher.pipeline.isAlreadyProcessed = async () => false;
+  watcher.pipeline.processFile = async (filePath, profileConfig) => {
+    if (!config.getProviderChain(profileConfig).some(provider => online.has(provider))) {
+      return { filePath, status: 'deferred', reason: 'No provider is reachable' };
+    }
+    return { filePath, status: 'renamed', newFilePath: filePath.replace(/\.png$/, '-named.png') };
+  };
+  t.mock.method(AnalyzerFactory, 'createProviderAnalyzer', (settings) => ({
+    testConnection: async () => (online.has(settings.aiProvider)
+      ? { success: true }
+      : { success: false, error: 'fetch failed' })
+  }));
+  watcher.reloadConfig();
+  return watcher;
+}
+
+const states = (watcher) => Object.fromEntries(
+  watcher.queue.jobs.map(job => [`${path.basename(path.dirname(job.filePath))}/${path.basename(job.filePath)}`, job.state])
+);
+
+test('an image that arrives while no provider answers waits in the queue', async (t) => {
+  const { dir, local } = createFolders(t, ['a.png']);
+  const watcher = createWatcher(t, dir, new Set());
+
+  await watcher.handleNewFile(path.join(local, 'a.png'));
+
+  assert.deepEqual(states(watcher), { 'local/a.png': 'waiting' });
+  assert.equal(watcher.queue.getWaitingJobs()[0].error, 'No provider is reachable');
+  assert.equal(new ProcessingQueue(path.join(dir, 'queue.json')).getWaitingJobs().length, 1, 'the wait survives a restart');
+});
+
+test('waiting images stay put while every provider is still down', async (t) => {
+  const { dir, local } = createFolders(t, ['a.png']);
+  const online = new Set();
+  const watcher = createWatcher(t, dir, online);
+  await watcher.handleNewFile(path.join(local, 'a.png'));
+
+  t.mock.method(watcher, 'replayQueue');
+  await watcher.probeProviders();
+
+  assert.equal(watcher.replayQueue.mock.callCount(), 0);
+  assert.deepEqual(states(watcher), { 'local/a.png': 'waiting' });
+});
+
+test('waiting images are replayed once a provider in their chain answers', async (t) => {
+  const { dir, local, cloud } = createFolders(t, ['a.png', 'b.png']);
+  const online = new Set();
+  const watcher = createWatcher(t, dir, online);
+  for (const folder of [local, cloud]) {
+    await watcher.handleNewFile(path.join(folder, 'a.png'));
+    await watcher.handleNewFile(path.join(folder, 'b.png'));
+  }
+  assert.equal(watcher.queue.getWaitingJobs().length, 4);
+
+  // Only Gemini comes back, so only the cloud folder's images are named
+  online.add('gemini');
+  await watcher.probeProviders();
+
+  assert.deepEqual(states(watcher), {
+    'local/a.png': 'waiting',
+    'local/b.png': 'waiting',
+    'cloud/a.png': 'renamed',
+    'cloud/b.png': 'renamed'
+  });
+
+  online.add('lmstudio');
+  await watcher.probeProviders();
+
+  assert.equal(watcher.queue.getWaitingJobs().length, 0);
+  assert.ok(Object.values(states(watcher)).every(state => state === 'renamed'));
+});
+
+test('a waiting image deleted before its provider answers is failed, not retried', async (t) => {
+  const { dir, cloud } = createFolders(t, ['a.png']);
+  const online = new Set();
+  const watcher = createWatcher(t, dir, online);
+  await watcher.handleNewFile(path.join(cloud, 'a.png'));
+
+  fs.unlinkSync(path.join(cloud, 'a.png'));
+  online.add('gemini');
+  await watcher.probeProviders();
+
+  const [job] = watcher.queue.jobs;
+  assert.equal(job.state, 'failed');
+  assert.equal(job.error, 'File no longer exists');
+});
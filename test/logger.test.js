@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const pino = require('pino');
+
+const { REDACT_PATHS } = require('../src/logger').constructor;
+
+test('credentials are redacted from logged configurations, per folder too', () => {
+  const lines = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      lines.push(JSON.parse(chunk));
+      callback();
+    }
+  });
+  const logger = pino({ redact: { paths: REDACT_PATHS, censor: '[redacted]' } }, stream);
+
+  logger.info({
+    config: {
+      geminiApiKey: 'gemini-secret',
+      openaiApiKey: 'openai-secret',
+      openaiHeaders: { 'X-Api-Key': 'header-secret' },
+      watchFolders: [
+        { path: '/shots', openaiApiKey: 'folder-secret', openaiHeaders: { Authorization: 'Bearer folder' } },
+        { path: '/work', geminiApiKey: 'work-secret' }
+      ]
+    }
+  }, 'Configuration loaded');
+
+  const logged = JSON.stringify(lines);
+  assert.doesNotMatch(logged, /secret|Bearer/);
+  assert.equal(lines[0].config.watchFolders[0].path, '/shots');
+  assert.equal(lines[0].config.watchFolders[0].openaiApiKey, '[redacted]');
+  assert.equal(lines[0].config.watchFolders[1].geminiApiKey, '[redacted]');
+});
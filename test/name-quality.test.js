@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The pipeline keeps its state under the home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const { getDenyList, isGenericName, checkNameQuality } = require('../src/name-quality');
+const RenamePipeline = require('../src/rename-pipeline');
+
+test('telling names pass', () => {
+  assert.deepEqual(checkNameQuality('stripe_invoice_march'), []);
+  assert.deepEqual(checkNameQuality('github_pull_request'), []);
+});
+
+test('vague names are rejected with the reasons', () => {
+  assert.deepEqual(checkNameQuality('analyzed_image'), ['only generic words']);
+  assert.deepEqual(checkNameQuality('screenshot'), ['fewer than 2 words', 'only generic words']);
+  assert.deepEqual(checkNameQuality('invoice'), ['fewer than 2 words']);
+  assert.deepEqual(checkNameQuality('dashboard_overview'), ['copies the example "dashboard_overview"']);
+  assert.deepEqual(checkNameQuality(''), ['fewer than 2 words', 'only generic words']);
+});
+
+test('the settings tune the checks', () => {
+  assert.deepEqual(checkNameQuality('invoice', { nameMinWords: 1 }), []);
+  assert.deepEqual(checkNameQuality('acme_portal', { nameDenyList: ['Acme', 'portal'] }), ['only generic words']);
+  assert.deepEqual(checkNameQuality('dashboard_overview', { promptVariables: { examples: ['billing_page'] } }), []);
+  assert.deepEqual(checkNameQuality('billing_page', { promptVariables: { examples: 'billing_page' } }), ['copies the example "billing_page"']);
+});
+
+test('names without spaces count about two characters to a word', () => {
+  assert.deepEqual(checkNameQuality('東京タワー'), []);
+  assert.deepEqual(checkNameQuality('東京'), ['fewer than 2 words']);
+});
+
+test('the deny-list adds configured words to the generic ones', () => {
+  const denyList = getDenyList({ nameDenyList: ['Company Logo'] });
+  assert.ok(denyList.includes('screenshot'));
+  assert.ok(denyList.includes('company'));
+  assert.ok(denyList.includes('logo'));
+  assert.ok(isGenericName('app_window'));
+  assert.ok(!isGenericName('slack_window'));
+});
+
+/**
+ * An analyzer answering with the given names in turn, recording prompts
+ */
+function scriptedAnalyzer(names) {
+  return {
+    prompts: [],
+    async analyzeImage(filePath, options = {}) {
+      this.prompts.push(options.prompt);
+      const name = names.shift();
+      return name ? { name, alternatives: [] } : { name: 'fallback', fallback: true };
+    }
+  };
+}
+
+test('a rejected name is asked for again with a follow-up prompt', async () => {
+  const pipeline = new RenamePipeline();
+  const analyzer = scriptedAnalyzer(['slack_thread_about_launch']);
+
+  const analysis = await pipeline.askForBetterName(analyzer, '/shots/a.png', { name: 'app_window', alternatives: [] }, {});
+
+  assert.equal(analysis.name, 'slack_thread_about_launch');
+  assert.equal(analyzer.prompts.length, 1);
+  assert.match(analyzer.prompts[0], /"app_window", was rejected: only generic words/);
+  assert.match(analyzer.prompts[0], /Do not use these words unless they are part of a title: image, img, screenshot/);
+});
+
+test('no follow-up when any candidate passes or retries are off', async () => {
+  const pipeline = new RenamePipeline();
+  const analyzer = scriptedAnalyzer(['unused']);
+
+  const withAlternative = { name: 'app_window', alternatives: ['slack_thread'] };
+  assert.equal(await pipeline.askForBetterName(analyzer, '/shots/a.png', withAlternative, {}), withAlternative);
+
+  const vague = { name: 'app_window', alternatives: [] };
+  assert.equal(await pipeline.askForBetterName(analyzer, '/shots/a.png', vague, { nameRetries: 0 }), vague);
+  assert.equal(analyzer.prompts.length, 0);
+});
+
+test('the last answer stands when every retry is vague or fails', async () => {
+  const pipeline = new RenamePipeline();
+
+  const vague = scriptedAnalyzer(['screen_view', 'image_file']);
+  const analysis = await pipeline.askForBetterName(vague, '/shots/a.png', { name: 'app_window' }, { nameRetries: 2 });
+  assert.equal(analysis.name, 'image_file');
+  assert.equal(vague.prompts.length, 2);
+
+  const failing = scriptedAnalyzer([]);
+  const kept = await pipeline.askForBetterName(failing, '/shots/a.png', { name: 'app_window' }, {});
+  assert.equal(kept.name, 'app_window');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { comparableName, scoreName, rankCandidates } = require('../src/name-ranker');
+
+test('comparableName drops the extension, counter and case', () => {
+  assert.equal(comparableName('Stripe_Invoice_3.png'), 'stripe_invoice');
+  assert.equal(comparableName('stripe_invoice'), 'stripe_invoice');
+  assert.equal(comparableName('release_2024.jpg'), 'release');
+});
+
+test('scoreName rewards specific words and numbers', () => {
+  assert.deepEqual(scoreName('stripe_invoice_2024'), { name: 'stripe_invoice_2024', score: 3.5, reasons: [] });
+  assert.equal(scoreName('map_of_the_city').score, 2);
+});
+
+test('scoreName penalises short, wordy and long names', () => {
+  assert.deepEqual(scoreName('login'), { name: 'login', score: 0, reasons: ['short'] });
+
+  const wordy = scoreName('one_two_three_four_five_six_seven_eight');
+  assert.equal(wordy.score, 3);
+  assert.deepEqual(wordy.reasons, ['wordy']);
+
+  // Seven words, five meaningful, nine characters past 40
+  assert.equal(scoreName('quarterly_revenue_breakdown_by_region_and_product').score, 3.55);
+});
+
+test('scoreName penalises generic words, most of all on their own', () => {
+  const mixed = scoreName('dashboard_overview');
+  assert.equal(mixed.score, -0.5);
+  assert.deepEqual(mixed.reasons, ['generic: overview']);
+
+  assert.equal(scoreName('screenshot_image').score, -5);
+  assert.equal(scoreName('dashboard_overview', { genericWords: ['dashboard'] }).score, -0.5);
+  assert.equal(scoreName('settings_panel', { genericWords: ['Panel'] }).score, -0.5);
+});
+
+test('scoreName penalises a name already in the folder', () => {
+  const existingNames = new Set(['stripe_invoice']);
+  const scored = scoreName('stripe_invoice', { existingNames });
+  assert.equal(scored.score, 0);
+  assert.deepEqual(scored.reasons, ['already in folder']);
+});
+
+test('rankCandidates puts the most telling name first', () => {
+  const ranked = rankCandidates(['screenshot', 'login', 'github_login_form']);
+  assert.deepEqual(ranked.map(candidate => candidate.name), ['github_login_form', 'login', 'screenshot']);
+  assert.ok(ranked.every(candidate => !('index' in candidate)));
+});
+
+test('rankCandidates keeps the model order on ties and drops repeats', () => {
+  const ranked = rankCandidates(['slack_thread', '', 'zoom_meeting', 'slack_thread']);
+  assert.deepEqual(ranked.map(candidate => candidate.name), ['slack_thread', 'zoom_meeting']);
+  assert.deepEqual(rankCandidates([]), []);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NAMING_STYLES, splitWords, isEnglish, usesUnicode, applyNamingStyle } = require('../src/naming-style');
+
+test('every naming style formats the same words', () => {
+  const names = Object.fromEntries(NAMING_STYLES.map(style => [style, applyNamingStyle('Login page ERROR', { style })]));
+
+  assert.deepEqual(names, {
+    'snake_case': 'login_page_error',
+    'kebab-case': 'login-page-error',
+    'camelCase': 'loginPageError',
+    'Title Case': 'Login Page Error',
+    'sentence case': 'Login page error'
+  });
+  assert.equal(applyNamingStyle('Login page', { style: 'no such style' }), 'login_page');
+});
+
+test('words are split from any style, without quotes or an extension', () => {
+  assert.deepEqual(splitWords('loginPageError'), ['login', 'page', 'error']);
+  assert.deepEqual(splitWords('login-page_error'), ['login', 'page', 'error']);
+  assert.deepEqual(splitWords('"sales chart.png"'), ['sales', 'chart']);
+  assert.equal(applyNamingStyle('a/b\\c..d'), 'a_b_c_d');
+});
+
+test('accents are folded and other scripts dropped, unless Unicode is kept', () => {
+  assert.deepEqual(splitWords('Café: 東京'), ['cafe']);
+  assert.deepEqual(splitWords('Café: 東京', true), ['café', '東京']);
+  assert.equal(applyNamingStyle('café 東京 menu'), 'cafe_menu');
+  assert.equal(applyNamingStyle('café 東京 menu', { unicode: true }), 'café_東京_menu');
+  assert.equal(applyNamingStyle('東京'), '');
+});
+
+test('names are cut at maxLength without a trailing separator', () => {
+  assert.equal(applyNamingStyle('alpha beta gamma delta', { maxLength: 11 }), 'alpha_beta');
+  assert.equal(applyNamingStyle('東京 タワー 夜景', { unicode: true, maxLength: 4 }), '東京_タ');
+});
+
+test('languages other than English keep Unicode names', () => {
+  assert.ok(isEnglish(undefined));
+  assert.ok(isEnglish('English'));
+  assert.ok(isEnglish('en-GB'));
+  assert.ok(!isEnglish('German'));
+  assert.ok(!isEnglish('日本語'));
+
+  assert.equal(usesUnicode({}), false);
+  assert.equal(usesUnicode({ unicodeFilenames: true }), true);
+  assert.equal(usesUnicode({ outputLanguage: 'Japanese' }), true);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const { createMockServer } = require('../scripts/mock-openai-server');
+const OpenAICompatibleAnalyzer = require('../src/analyzers/openai-compatible-analyzer');
+const { isRetryable, getRetryAfter } = require('../src/analyzers/retry');
+
+const image = path.join(process.env.HOME, 'shot.png');
+fs.writeFileSync(image, 'not really a png');
+
+/**
+ * Start the mock server on a free port
+ * @returns {Promise<string>} Its base URL
+ */
+async function startMock(t, options = {}) {
+  t.mock.method(console, 'log', () => {});
+  const server = createMockServer(options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  });
+  return `http://127.0.0.1:${server.address().port}/v1`;
+}
+
+function createAnalyzer(baseUrl, settings = {}) {
+  return new OpenAICompatibleAnalyzer({ openaiBaseUrl: baseUrl, openaiModel: 'mock-vision', ...settings });
+}
+
+test('names an image with the bearer token', async (t) => {
+  const baseUrl = await startMock(t, { apiKey: 'sk-test', name: 'sales_dashboard' });
+
+  const analysis = await createAnalyzer(baseUrl, { openaiApiKey: 'sk-test' }).analyzeImage(image);
+  assert.equal(analysis.name, 'sales_dashboard');
+  assert.deepEqual(await createAnalyzer(`${baseUrl}/`, { openaiApiKey: 'sk-test' }).testConnection(),
+    { success: true, message: 'OpenAI-compatible server connection successful', response: 'sales_dashboard' });
+});
+
+test('a missing or wrong bearer token is a 401 that is not retried', async (t) => {
+  const baseUrl = await startMock(t, { apiKey: 'sk-test' });
+
+  for (const settings of [{}, { openaiApiKey: 'sk-wrong' }]) {
+    const error = await createAnalyzer(baseUrl, settings).analyzeImage(image).catch(caught => caught);
+    assert.equal(error.status, 401);
+    assert.match(error.message, /401 Unauthorized \(.*Invalid API key/);
+    assert.equal(isRetryable(error), false);
+  }
+
+  // openaiHeaders can carry the token instead
+  const analysis = await createAnalyzer(baseUrl, { openaiHeaders: { Authorization: 'Bearer sk-test' } }).analyzeImage(image);
+  assert.equal(analysis.name, 'quarterly_revenue_dashboard');
+});
+
+test('429 and 503 keep their status and Retry-After', async (t) => {
+  for (const status of [429, 503]) {
+    const baseUrl = await startMock(t, { status, retryAfter: 7 });
+    const error = await createAnalyzer(baseUrl).analyzeImage(image).catch(caught => caught);
+
+    assert.equal(error.status, status);
+    assert.equal(error.retryAfter, '7');
+    assert.equal(getRetryAfter(error), 7000);
+    assert.equal(isRetryable(error), true);
+  }
+
+  const baseUrl = await startMock(t, { status: 503 });
+  const error = await createAnalyzer(baseUrl).analyzeImage(image).catch(caught => caught);
+  assert.equal(error.retryAfter, null);
+  assert.equal(getRetryAfter(error), null);
+});
+
+test('a slow server times out with a retryable error', async (t) => {
+  const baseUrl = await startMock(t, { delay: 2000 });
+
+  const error = await createAnalyzer(baseUrl, { openaiTimeout: 100 }).analyzeImage(image).catch(caught => caught);
+  assert.match(error.message, /timed out after 0.1s/);
+  assert.equal(error.retryable, true);
+});
+
+test('structured analyses ask for the JSON schema and parse the answer', async (t) => {
+  const baseUrl = await startMock(t, { name: 'login_form' });
+  const analyzer = createAnalyzer(baseUrl, { structuredAnalysis: true });
+  const request = t.mock.method(analyzer, 'request');
+
+  const analysis = await analyzer.analyzeImage(image);
+
+  const body = request.mock.calls[0].arguments[0];
+  assert.equal(body.response_format.type, 'json_schema');
+  assert.equal(body.response_format.json_schema.strict, true);
+  assert.ok(body.max_tokens >= 400);
+  assert.equal(body.stop, undefined);
+
+  assert.equal(analysis.name, 'login_form');
+  assert.deepEqual(analysis.tags, ['mock', 'test']);
+  assert.equal(analysis.category, 'test');
+  assert.equal(analysis.confidence, 0.9);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandHome, globToRegExp, expandPaths } = require('../src/utils/path-helpers');
+
+test('expandHome expands a leading ~ only', () => {
+  assert.equal(expandHome('~'), os.homedir());
+  assert.equal(expandHome('~/Desktop'), path.join(os.homedir(), 'Desktop'));
+  assert.equal(expandHome('/tmp/~/x'), '/tmp/~/x');
+  assert.equal(expandHome('~other'), '~other');
+});
+
+test('globToRegExp: * and ? stay within one directory', () => {
+  const star = globToRegExp('*.png');
+  assert.ok(star.test('shot.png'));
+  assert.ok(!star.test('nested/shot.png'));
+  assert.ok(!star.test('shot.png.bak'));
+
+  const single = globToRegExp('shot-?.png');
+  assert.ok(single.test('shot-1.png'));
+  assert.ok(!single.test('shot-12.png'));
+});
+
+test('globToRegExp: ** matches any depth, including none', () => {
+  const deep = globToRegExp('**/*.png');
+  assert.ok(deep.test('a.png'));
+  assert.ok(deep.test('x/y/a.png'));
+  assert.ok(!deep.test('x/y/a.jpg'));
+});
+
+test('globToRegExp: classes, negated classes and brace groups', () => {
+  assert.ok(globToRegExp('[ab].png').test('a.png'));
+  assert.ok(!globToRegExp('[ab].png').test('c.png'));
+  assert.ok(globToRegExp('[!ab].png').test('c.png'));
+  assert.ok(!globToRegExp('[!ab].png').test('a.png'));
+
+  const group = globToRegExp('*.{png,jpg}');
+  assert.ok(group.test('a.png'));
+  assert.ok(group.test('a.jpg'));
+  assert.ok(!group.test('a.gif'));
+});
+
+test('globToRegExp escapes regular expression characters', () => {
+  const literal = globToRegExp('a+b (1).png');
+  assert.ok(literal.test('a+b (1).png'));
+  assert.ok(!literal.test('aab (1)xpng'));
+  assert.ok(globToRegExp('[oops.png').test('[oops.png'));
+});
+
+test('expandPaths resolves files, folders and globs, and reports misses', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-paths-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'sub'));
+  ['a.png', 'b.jpg', '.hidden.png', 'sub/c.png'].forEach(name => fs.writeFileSync(path.join(dir, name), ''));
+
+  const flat = await expandPaths([dir]);
+  assert.deepEqual(flat.files, [path.join(dir, 'a.png'), path.join(dir, 'b.jpg')]);
+
+  const recursive = await expandPaths([dir], { recursive: true });
+  assert.ok(recursive.files.includes(path.join(dir, 'sub', 'c.png')));
+
+  const glob = await expandPaths([path.join(dir, '**', '*.png'), path.join(dir, 'nothing-*.gif')]);
+  assert.deepEqual(glob.files, [path.join(dir, 'a.png'), path.join(dir, 'sub', 'c.png')]);
+  assert.deepEqual(glob.missing, [path.join(dir, 'nothing-*.gif')]);
+});
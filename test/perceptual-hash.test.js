@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { computeDHash, hammingDistance, readPngRows } = require('../src/perceptual-hash');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Forward PNG filters, the inverse of what the decoder undoes
+function filterRow(filter, line, previous, bytesPerPixel) {
+  return Buffer.from(line.map((value, i) => {
+    const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+    const up = previous[i];
+    const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+    let predictor = 0;
+    if (filter === 1) predictor = left;
+    if (filter === 2) predictor = up;
+    if (filter === 3) predictor = (left + up) >> 1;
+    if (filter === 4) {
+      const p = left + up - upLeft;
+      const pa = Math.abs(p - left);
+      const pb = Math.abs(p - up);
+      const pc = Math.abs(p - upLeft);
+      predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+    }
+    return (value - predictor) & 0xff;
+  }));
+}
+
+/**
+ * Encode a PNG from rows of raw samples
+ * @param {Object} options - width, height, colorType, bitDepth, rows, palette, filters (one per row), interlaced
+ */
+function encodePng({ width, height, colorType, bitDepth = 8, rows, palette = null, filters = [], interlaced = false }) {
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  const bytesPerPixel = channels * (bitDepth / 8);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  ihdr[12] = interlaced ? 1 : 0;
+
+  let previous = Buffer.alloc(width * bytesPerPixel);
+  const scanlines = rows.map((row, y) => {
+    const line = Buffer.from(row);
+    const filter = filters[y] || 0;
+    const filtered = filterRow(filter, line, previous, bytesPerPixel);
+    previous = line;
+    return Buffer.concat([Buffer.from([filter]), filtered]);
+  });
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    ...(palette ? [chunk('PLTE', Buffer.from(palette))] : []),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(scanlines))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// A grayscale image whose brightness runs across it
+function gradientPng(width, height, brightness) {
+  const rows = Array.from({ length: height }, () => Array.from({ length: width }, (_, x) => brightness(x / (width - 1))));
+  return encodePng({ width, height, colorType: 0, rows });
+}
+
+function writeTemp(t, name, buffer) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-phash-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+}
+
+test('readPngRows undoes every scanline filter', () => {
+  const rows = [
+    [10, 20, 30, 200, 100, 50, 0, 255, 128],
+    [11, 22, 33, 199, 98, 47, 5, 250, 120],
+    [250, 5, 60, 30, 160, 90, 80, 70, 60],
+    [0, 0, 0, 255, 255, 255, 127, 128, 129],
+    [90, 80, 70, 60, 50, 40, 30, 20, 10]
+  ];
+  const png = encodePng({ width: 3, height: 5, colorType: 2, rows, filters: [0, 1, 2, 3, 4] });
+
+  const decoded = [];
+  const header = readPngRows(png, (y, row) => { decoded[y] = Array.from(row); });
+
+  assert.deepEqual(decoded, rows);
+  assert.equal(header.width, 3);
+  assert.equal(header.height, 5);
+  assert.equal(header.colorType, 2);
+});
+
+test('readPngRows rejects what it cannot decode', () => {
+  assert.throws(() => readPngRows(Buffer.from('GIF89a....'), () => {}), /Not a PNG file/);
+
+  const interlaced = encodePng({ width: 1, height: 1, colorType: 0, rows: [[0]], interlaced: true });
+  assert.throws(() => readPngRows(interlaced, () => {}), /Unsupported PNG encoding/);
+
+  const lowDepth = encodePng({ width: 1, height: 1, colorType: 0, rows: [[0]] });
+  lowDepth[8 + 8 + 8] = 4; // IHDR bit depth
+  assert.throws(() => readPngRows(lowDepth, () => {}), /Unsupported PNG encoding/);
+});
+
+test('computeDHash follows the brightness gradient', async (t) => {
+  const darkening = writeTemp(t, 'darkening.png', gradientPng(36, 16, f => Math.round(255 * (1 - f))));
+  const brightening = writeTemp(t, 'brightening.png', gradientPng(36, 16, f => Math.round(255 * f)));
+
+  assert.equal(await computeDHash(darkening), 'ffffffffffffffff');
+  assert.equal(await computeDHash(brightening), '0000000000000000');
+});
+
+test('computeDHash matches the same picture at another size', async (t) => {
+  const shade = f => Math.round(128 + 100 * Math.sin(f * 7));
+  const small = writeTemp(t, 'small.png', gradientPng(90, 40, shade));
+  const large = writeTemp(t, 'large.png', gradientPng(270, 120, shade));
+
+  const distance = hammingDistance(await computeDHash(small), await computeDHash(large));
+  assert.ok(distance <= 2, `distance ${distance}`);
+});
+
+test('computeDHash reads palette, alpha and 16-bit PNGs', async (t) => {
+  const width = 18;
+  const darkening = (x) => x < width / 2 ? 1 : 0;
+
+  // Palette: bright left half, dark right half
+  const palette = encodePng({
+    width, height: 8, colorType: 3, palette: [0, 0, 0, 255, 255, 255],
+    rows: Array.from({ length: 8 }, () => Array.from({ length: width }, (_, x) => darkening(x)))
+  });
+
+  // Gray with alpha: the transparent right half composites to white
+  const alpha = encodePng({
+    width, height: 8, colorType: 4,
+    rows: Array.from({ length: 8 }, () => Array.from({ length: width }, (_, x) => [0, x < width / 2 ? 255 : 0]).flat())
+  });
+
+  // 16-bit gray: bright left half again
+  const deep = encodePng({
+    width, height: 8, colorType: 0, bitDepth: 16,
+    rows: Array.from({ length: 8 }, () => Array.from({ length: width }, (_, x) => darkening(x) ? [255, 255] : [0, 0]).flat())
+  });
+
+  const paletteHash = await computeDHash(writeTemp(t, 'palette.png', palette));
+  const alphaHash = await computeDHash(writeTemp(t, 'alpha.png', alpha));
+  const deepHash = await computeDHash(writeTemp(t, 'deep.png', deep));
+
+  assert.notEqual(paletteHash, '0000000000000000');
+  assert.equal(deepHash, paletteHash);
+  // Dark then white never gets darker to the right, so no bit is set
+  assert.equal(alphaHash, '0000000000000000');
+  assert.equal(hammingDistance(alphaHash, paletteHash), 16);
+});
+
+test('hammingDistance counts differing bits', () => {
+  assert.equal(hammingDistance('0000000000000000', '0000000000000000'), 0);
+  assert.equal(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64);
+  assert.equal(hammingDistance('00000000000000f0', '000000000000000f'), 8);
+  assert.equal(hammingDistance('8000000000000001', '0000000000000000'), 2);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const ProcessedIndex = require('../src/processed-index');
+
+function createDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-index-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeImage(dir, name, contents) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+test('a marked file is processed under any name or folder', async (t) => {
+  const dir = createDir(t);
+  const index = new ProcessedIndex(path.join(dir, 'index.json'));
+  const named = writeImage(dir, 'login_form.png', 'pixels');
+
+  assert.equal(await index.isProcessed(named), false);
+  const hash = await index.markProcessed(named, { originalName: 'Screenshot 1.png' });
+
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(index.files[hash].name, 'login_form.png');
+  assert.equal(index.files[hash].originalName, 'Screenshot 1.png');
+
+  fs.mkdirSync(path.join(dir, 'moved'));
+  const copy = writeImage(path.join(dir, 'moved'), 'Screenshot 1.png', 'pixels');
+  assert.equal(await index.isProcessed(copy), true);
+  assert.equal(await index.isProcessed(writeImage(dir, 'other.png', 'other pixels')), false);
+});
+
+test('unmarking forgets a file so it can be named again', async (t) => {
+  const dir = createDir(t);
+  const index = new ProcessedIndex(path.join(dir, 'index.json'));
+  const filePath = writeImage(dir, 'chart.png', 'pixels');
+
+  await index.markProcessed(filePath);
+  assert.equal(await index.unmarkProcessed(filePath), true);
+  assert.equal(await index.isProcessed(filePath), false);
+  assert.equal(await index.unmarkProcessed(filePath), false);
+  assert.equal(await index.unmarkProcessed(path.join(dir, 'gone.png')), false);
+});
+
+test('the index is read once and again only when another process writes it', async (t) => {
+  const dir = createDir(t);
+  const indexPath = path.join(dir, 'index.json');
+  const service = new ProcessedIndex(indexPath);
+  const batch = new ProcessedIndex(indexPath);
+  const first = writeImage(dir, 'first.png', 'first');
+  const second = writeImage(dir, 'second.png', 'second');
+  await service.markProcessed(first);
+
+  const load = t.mock.method(service, 'load');
+  assert.equal(await service.isProcessed(first), true);
+  assert.equal(await service.isProcessed(second), false);
+  assert.equal(load.mock.callCount(), 0);
+
+  // Make sure the other process's write gets a later modification time
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await batch.markProcessed(second);
+  assert.equal(await service.isProcessed(second), true);
+  assert.equal(load.mock.callCount(), 1);
+
+  // Marking merges with what the other process wrote
+  const third = writeImage(dir, 'third.png', 'third');
+  await service.markProcessed(third);
+  assert.equal(Object.keys(new ProcessedIndex(indexPath).files).length, 3);
+});
+
+test('the oldest entries are forgotten beyond maxEntries', async (t) => {
+  const dir = createDir(t);
+  const index = new ProcessedIndex(path.join(dir, 'index.json'), { maxEntries: 2 });
+  const files = ['a', 'b', 'c'].map(name => writeImage(dir, `${name}.png`, name));
+
+  for (const filePath of files) {
+    await index.markProcessed(filePath);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  assert.equal(Object.keys(index.files).length, 2);
+  assert.equal(await index.isProcessed(files[0]), false);
+  assert.equal(await index.isProcessed(files[2]), true);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const ProcessingQueue = require('../src/processing-queue');
+
+function queuePath(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'queue.json');
+}
+
+test('a job moves from pending through analyzing to a final state', (t) => {
+  const queue = new ProcessingQueue(queuePath(t));
+  const job = queue.enqueue('/shots/a.png', { profile: 'desktop' });
+
+  assert.equal(job.state, 'pending');
+  assert.equal(job.profile, 'desktop');
+  assert.equal(job.attempts, 0);
+
+  queue.markAnalyzing(job.id);
+  assert.equal(job.state, 'analyzing');
+  assert.equal(job.attempts, 1);
+
+  queue.markRenamed(job.id, '/shots/login_form.png');
+  assert.equal(job.state, 'renamed');
+  assert.equal(job.newPath, '/shots/login_form.png');
+  assert.equal(queue.getActiveJob('/shots/a.png'), null);
+});
+
+test('held, skipped, waiting and failed jobs are told apart', (t) => {
+  const queue = new ProcessingQueue(queuePath(t));
+  const [held, skipped, waiting, failed] = ['a', 'b', 'c', 'd'].map(name => queue.enqueue(`/shots/${name}.png`));
+
+  queue.markHeld(held.id, '/shots/a_review.png');
+  queue.markSkipped(skipped.id, 'Name unchanged');
+  queue.markWaiting(waiting.id, 'No provider reachable');
+  queue.markFailed(failed.id, new Error('Disk full'));
+
+  assert.equal(failed.error, 'Disk full');
+  assert.equal(skipped.error, 'Name unchanged');
+  assert.deepEqual(queue.getCounts(), { pending: 0, analyzing: 0, waiting: 1, renamed: 0, held: 1, skipped: 1, failed: 1 });
+  assert.deepEqual(queue.getWaitingJobs().map(job => job.id), [waiting.id]);
+  assert.throws(() => queue.update(held.id, { state: 'lost' }), /Unknown job state: lost/);
+  assert.equal(queue.update('no-such-id', { state: 'failed' }), null);
+});
+
+test('a file has at most one active job', (t) => {
+  const queue = new ProcessingQueue(queuePath(t));
+  const first = queue.enqueue('/shots/a.png');
+
+  assert.equal(queue.enqueue('/shots/a.png'), first);
+  queue.markRenamed(first.id, '/shots/named.png');
+  assert.notEqual(queue.enqueue('/shots/a.png').id, first.id);
+});
+
+test('unfinished jobs are replayed after a restart, oldest first', (t) => {
+  const file = queuePath(t);
+  const queue = new ProcessingQueue(file);
+  const pending = queue.enqueue('/shots/a.png');
+  const analyzing = queue.enqueue('/shots/b.png');
+  const waiting = queue.enqueue('/shots/c.png');
+  const done = queue.enqueue('/shots/d.png');
+  queue.markAnalyzing(analyzing.id);
+  queue.markWaiting(waiting.id, 'offline');
+  queue.markRenamed(done.id, '/shots/done.png');
+
+  const restarted = new ProcessingQueue(file);
+  assert.deepEqual(restarted.getReplayableJobs().map(job => job.id), [pending.id, analyzing.id, waiting.id]);
+  assert.equal(restarted.getActiveJob('/shots/b.png').attempts, 1);
+  assert.equal(restarted.getActiveJob('/shots/d.png'), null);
+});
+
+test('a damaged queue file starts an empty queue', (t) => {
+  const file = queuePath(t);
+  fs.writeFileSync(file, '{"jobs": [');
+
+  assert.deepEqual(new ProcessingQueue(file).jobs, []);
+});
+
+test('only the oldest finished jobs are pruned', (t) => {
+  const queue = new ProcessingQueue(queuePath(t), { maxFinishedJobs: 2 });
+  const jobs = ['a', 'b', 'c'].map(name => queue.enqueue(`/shots/${name}.png`));
+  jobs.forEach(job => queue.markRenamed(job.id, job.filePath));
+
+  const active = queue.enqueue('/shots/d.png');
+  assert.deepEqual(queue.jobs.map(job => job.id), [jobs[1].id, jobs[2].id, active.id]);
+});
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const ProviderHealth = require('../src/analyzers/provider-health').constructor;
+
+const settings = { circuitBreakerThreshold: 2, circuitBreakerCooldown: 60000 };
+
+/**
+ * A ProviderHealth writing to a temporary file, counting its saves
+ */
+function createHealth(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-health-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const health = new ProviderHealth(path.join(dir, 'health.json'), { persistent: true });
+  health.saves = 0;
+  const save = health.save.bind(health);
+  health.save = () => { health.saves++; return save(); };
+  return health;
+}
+
+// Pretend the circuit opened long enough ago for the cooldown to pass
+function expireCooldown(health, provider) {
+  health.getRecords()[provider].openedAt = new Date(Date.now() - 120000).toISOString();
+}
+
+test('an unknown provider is closed and available', (t) => {
+  const health = createHealth(t);
+  assert.equal(health.getState('gemini', settings), 'closed');
+  assert.ok(health.isAvailable('gemini', settings));
+  assert.deepEqual(health.get('gemini'), { state: 'closed', consecutiveFailures: 0 });
+});
+
+test('the circuit opens at the failure threshold', (t) => {
+  const health = createHealth(t);
+
+  health.recordFailure('gemini', new Error('fetch failed'), settings);
+  assert.equal(health.getState('gemini', settings), 'closed');
+
+  const record = health.recordFailure('gemini', new Error('fetch failed'), settings);
+  assert.equal(record.state, 'open');
+  assert.equal(record.consecutiveFailures, 2);
+  assert.equal(record.lastError, 'fetch failed');
+  assert.ok(!health.isAvailable('gemini', settings));
+});
+
+test('a success resets the failure count', (t) => {
+  const health = createHealth(t);
+
+  health.recordFailure('gemini', 'quota', settings);
+  assert.equal(health.recordSuccess('gemini'), false);
+  health.recordFailure('gemini', 'quota', settings);
+  assert.equal(health.getState('gemini', settings), 'closed');
+});
+
+test('an open circuit lets a trial through after the cooldown', (t) => {
+  const health = createHealth(t);
+  health.recordFailure('gemini', 'down', settings);
+  health.recordFailure('gemini', 'down', settings);
+
+  expireCooldown(health, 'gemini');
+  assert.equal(health.getState('gemini', settings), 'half-open');
+  assert.ok(health.isAvailable('gemini', settings));
+
+  // The trial failing reopens the circuit for another cooldown
+  const record = health.recordFailure('gemini', 'still down', settings);
+  assert.equal(record.state, 'open');
+  assert.equal(health.getState('gemini', settings), 'open');
+});
+
+test('a successful trial closes the circuit', (t) => {
+  const health = createHealth(t);
+  health.recordFailure('gemini', 'down', settings);
+  health.recordFailure('gemini', 'down', settings);
+  expireCooldown(health, 'gemini');
+
+  assert.equal(health.recordSuccess('gemini'), true);
+  assert.equal(health.getState('gemini', settings), 'closed');
+  assert.equal(health.get('gemini').openedAt, null);
+});
+
+test('probes close an open circuit, and reopen one whose trial is due', (t) => {
+  const health = createHealth(t);
+  health.recordFailure('ollama', 'down', settings);
+  health.recordFailure('ollama', 'down', settings);
+  const openedAt = health.get('ollama').openedAt;
+
+  // Still within the cooldown: a failed probe leaves the circuit as it was
+  assert.equal(health.recordProbe('ollama', { success: false, error: 'refused' }, settings), false);
+  assert.equal(health.get('ollama').openedAt, openedAt);
+  assert.equal(health.get('ollama').lastError, 'refused');
+
+  expireCooldown(health, 'ollama');
+  health.recordProbe('ollama', { success: false }, settings);
+  assert.equal(health.getState('ollama', settings), 'open');
+  assert.equal(health.get('ollama').lastError, 'Connection test failed');
+
+  assert.equal(health.recordProbe('ollama', { success: true }, settings), true);
+  assert.equal(health.getState('ollama', settings), 'closed');
+  assert.ok(health.get('ollama').lastProbeAt);
+});
+
+test('health is saved only when a circuit or failure count changes', (t) => {
+  const health = createHealth(t);
+
+  health.recordSuccess('gemini');
+  health.recordSuccess('gemini');
+  health.recordProbe('gemini', { success: true }, settings);
+  assert.equal(health.saves, 0);
+
+  health.recordFailure('gemini', 'down', settings);
+  health.recordFailure('gemini', 'down', settings);
+  assert.equal(health.saves, 2);
+
+  health.recordProbe('gemini', { success: false }, settings);
+  assert.equal(health.saves, 2);
+
+  health.recordSuccess('gemini');
+  assert.equal(health.saves, 3);
+});
+
+test('getAll reads what the service last wrote', (t) => {
+  const health = createHealth(t);
+  health.recordFailure('gemini', 'down', settings);
+  health.recordFailure('gemini', 'down', settings);
+
+  const all = new ProviderHealth(health.healthPath).getAll(settings);
+  assert.deepEqual(Object.keys(all), ['gemini']);
+  assert.equal(all.gemini.state, 'open');
+  assert.equal(all.gemini.consecutiveFailures, 2);
+});
+
+test('one-off runs start closed and leave the health file alone', (t) => {
+  const service = createHealth(t);
+  service.recordFailure('gemini', 'down', settings);
+  service.recordFailure('gemini', 'down', settings);
+  const written = fs.readFileSync(service.healthPath, 'utf8');
+
+  const batch = new ProviderHealth(service.healthPath);
+  assert.ok(batch.isAvailable('gemini', settings));
+  batch.recordFailure('ollama', 'down', settings);
+  batch.recordFailure('ollama', 'down', settings);
+  assert.ok(!batch.isAvailable('ollama', settings));
+  batch.recordSuccess('gemini');
+
+  assert.equal(fs.readFileSync(service.healthPath, 'utf8'), written);
+  assert.deepEqual(Object.keys(batch.getAll(settings)), ['gemini']);
+});
+
+test('persist() picks up what the last service run wrote', (t) => {
+  const health = createHealth(t);
+  health.recordFailure('gemini', 'down', settings);
+  health.recordFailure('gemini', 'down', settings);
+
+  const restarted = new ProviderHealth(health.healthPath);
+  restarted.persist();
+  assert.equal(restarted.getState('gemini', settings), 'open');
+});
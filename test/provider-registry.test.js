@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const ProviderRegistry = require('../src/analyzers/provider-registry').constructor;
+
+/**
+ * A temporary directory holding plugin modules, given as file name → source
+ */
+function createPluginDir(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-plugins-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+  return dir;
+}
+
+const workingPlugin = (name) => `
+module.exports = {
+  name: '${name}',
+  configSchema: (z) => z.object({ echoPrefix: z.string().optional() }).passthrough(),
+  analyzeImage: async (imagePath, options) => (options.config.echoPrefix || '') + 'Sunset over the lake',
+  testConnection: async () => ({ success: true })
+};
+`;
+
+test('built-in providers are registered first', () => {
+  const registry = new ProviderRegistry();
+  assert.ok(registry.has('gemini'));
+  assert.equal(registry.getNames()[0], registry.list()[0].name);
+  assert.throws(() => registry.lookup('nope'), /Unknown AI provider: nope/);
+});
+
+test('a working plugin is loaded relative to the base directory and can name images', async (t) => {
+  const dir = createPluginDir(t, { 'echo.js': workingPlugin('echo') });
+  const registry = new ProviderRegistry();
+
+  assert.deepEqual(registry.loadPlugins(['./echo.js'], dir), []);
+  assert.ok(registry.has('echo'));
+  assert.equal(registry.get('echo').label, 'echo (plugin)');
+  assert.equal(registry.get('echo').source, './echo.js');
+
+  const analyzer = registry.create('echo', { aiProvider: 'echo', echoPrefix: 'Echo ' });
+  const analysis = await analyzer.analyzeImage('/shots/a.png');
+  assert.match(analysis.name, /echo/i);
+  assert.deepEqual(await analyzer.testConnection(), { success: true });
+});
+
+test('loading the same plugin twice is not a name clash', (t) => {
+  const dir = createPluginDir(t, { 'echo.js': workingPlugin('echo') });
+  const registry = new ProviderRegistry();
+
+  assert.deepEqual(registry.loadPlugins(['./echo.js'], dir), []);
+  assert.deepEqual(registry.loadPlugins([path.join(dir, 'echo.js')], dir), []);
+});
+
+test('a plugin that cannot be found is reported and the rest still load', (t) => {
+  const dir = createPluginDir(t, { 'echo.js': workingPlugin('echo-after-missing') });
+  const registry = new ProviderRegistry();
+
+  const failures = registry.loadPlugins(['./missing.js', 'renamer-no-such-package', './echo.js'], dir);
+  assert.deepEqual(failures.map(failure => failure.spec), ['./missing.js', 'renamer-no-such-package']);
+  failures.forEach(failure => {
+    assert.match(failure.error, /Cannot find module/);
+    assert.ok(!failure.error.includes('\n'), 'only the first line of the error is kept');
+  });
+  assert.ok(registry.has('echo-after-missing'));
+});
+
+test('a plugin that throws while loading is reported', (t) => {
+  const dir = createPluginDir(t, { 'broken.js': "throw new Error('plugin exploded');\n" });
+  const registry = new ProviderRegistry();
+
+  assert.deepEqual(registry.loadPlugins(['./broken.js'], dir), [{ spec: './broken.js', error: 'plugin exploded' }]);
+});
+
+test('a plugin missing part of the API is reported', (t) => {
+  const dir = createPluginDir(t, {
+    'no-test.js': "module.exports = { name: 'no-test', configSchema: (z) => z.object({}), analyzeImage: async () => 'x' };\n",
+    'no-schema.js': "module.exports = { name: 'no-schema', analyzeImage: async () => 'x', testConnection: async () => true };\n",
+    'bad-name.js': "module.exports = { name: 'has spaces', configSchema: (z) => z.object({}), analyzeImage: async () => 'x', testConnection: async () => true };\n"
+  });
+  const registry = new ProviderRegistry();
+
+  const failures = registry.loadPlugins(['./no-test.js', './no-schema.js', './bad-name.js'], dir);
+  assert.deepEqual(failures, [
+    { spec: './no-test.js', error: 'Provider plugin ./no-test.js does not export testConnection()' },
+    { spec: './no-schema.js', error: 'Provider plugin ./no-schema.js does not export a zod configSchema' },
+    { spec: './bad-name.js', error: 'A provider needs a name made of letters, digits, "-" or "_"' }
+  ]);
+  assert.ok(!registry.has('no-test'));
+  assert.ok(!registry.has('no-schema'));
+});
+
+test('a plugin cannot take the name of a built-in provider', (t) => {
+  const dir = createPluginDir(t, { 'fake-gemini.js': workingPlugin('gemini') });
+  const registry = new ProviderRegistry();
+  const builtIn = registry.get('gemini');
+
+  assert.deepEqual(registry.loadPlugins(['./fake-gemini.js'], dir), [
+    { spec: './fake-gemini.js', error: 'Provider "gemini" is already registered' }
+  ]);
+  assert.equal(registry.get('gemini'), builtIn);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const RenameJournal = require('../src/rename-journal');
+
+const { parseSince } = RenameJournal;
+
+function createDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-journal-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Rename a file on disk and journal it, as the pipeline does
+ */
+function rename(journal, dir, from, to, time) {
+  fs.renameSync(path.join(dir, from), path.join(dir, to));
+  const entry = journal.recordRename({ from: path.join(dir, from), to: path.join(dir, to), provider: 'gemini' });
+  if (time) {
+    // Backdate the entry by rewriting its line
+    const lines = fs.readFileSync(journal.journalPath, 'utf8').trim().split('\n');
+    lines[lines.length - 1] = JSON.stringify({ ...entry, time });
+    fs.writeFileSync(journal.journalPath, `${lines.join('\n')}\n`);
+  }
+  return entry;
+}
+
+function setup(t, names) {
+  const dir = createDir(t);
+  names.forEach(name => fs.writeFileSync(path.join(dir, name), name));
+  return { dir, journal: new RenameJournal(path.join(dir, 'journal.jsonl')) };
+}
+
+test('parseSince reads durations and dates', () => {
+  const now = Date.now();
+  const twoHours = parseSince('2h').getTime();
+  assert.ok(Math.abs(now - 2 * 60 * 60 * 1000 - twoHours) < 1000);
+  assert.ok(Math.abs(now - 30 * 60 * 1000 - parseSince(' 30M ').getTime()) < 1000);
+  assert.ok(Math.abs(now - 7 * 24 * 60 * 60 * 1000 - parseSince('1w').getTime()) < 1000);
+  assert.equal(parseSince('2025-01-02T03:04:05Z').toISOString(), '2025-01-02T03:04:05.000Z');
+  assert.throws(() => parseSince('yesterday'), /Invalid time: "yesterday"/);
+  assert.throws(() => parseSince('3y'), /Invalid time/);
+});
+
+test('select picks the latest, the last N, renames since a time, or one file', (t) => {
+  const { dir, journal } = setup(t, ['1.png', '2.png', '3.png']);
+  const old = rename(journal, dir, '1.png', 'first.png', new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString());
+  const middle = rename(journal, dir, '2.png', 'second.png');
+  const latest = rename(journal, dir, '3.png', 'third.png');
+
+  assert.deepEqual(journal.select().map(entry => entry.id), [latest.id]);
+  assert.deepEqual(journal.select({ last: 2 }).map(entry => entry.id), [latest.id, middle.id]);
+  assert.deepEqual(journal.select({ since: '1h' }).map(entry => entry.id), [latest.id, middle.id]);
+  assert.deepEqual(journal.select({ file: path.join(dir, 'first.png') }).map(entry => entry.id), [old.id]);
+  assert.deepEqual(journal.select({ file: path.join(dir, 'nope.png') }), []);
+  assert.throws(() => journal.select({ since: 'soon' }), /Invalid time/);
+});
+
+test('undo restores original names and journals the undo', async (t) => {
+  const { dir, journal } = setup(t, ['Screenshot 1.png', 'Screenshot 2.png']);
+  rename(journal, dir, 'Screenshot 1.png', 'login_form.png');
+  rename(journal, dir, 'Screenshot 2.png', 'sales_chart.png');
+
+  const restored = [];
+  const summary = await journal.undo(journal.select({ last: 2 }), async (filePath) => { restored.push(filePath); });
+
+  assert.equal(summary.restored.length, 2);
+  assert.ok(fs.existsSync(path.join(dir, 'Screenshot 1.png')));
+  assert.ok(fs.existsSync(path.join(dir, 'Screenshot 2.png')));
+  assert.deepEqual(restored, [path.join(dir, 'Screenshot 2.png'), path.join(dir, 'Screenshot 1.png')]);
+
+  // Undone renames are not offered again
+  assert.deepEqual(journal.select({ last: 5 }), []);
+  assert.equal(journal.readAll().filter(entry => entry.type === 'undo').length, 2);
+});
+
+test('undo skips files that moved on and names that are taken', async (t) => {
+  const { dir, journal } = setup(t, ['a.png', 'b.png']);
+  rename(journal, dir, 'a.png', 'gone.png');
+  rename(journal, dir, 'b.png', 'kept.png');
+  fs.rmSync(path.join(dir, 'gone.png'));
+  fs.writeFileSync(path.join(dir, 'b.png'), 'newcomer');
+
+  const summary = await journal.undo(journal.select({ last: 2 }));
+
+  assert.deepEqual(summary.skipped.map(result => result.reason), ['Original name is taken', 'Renamed file no longer exists']);
+  assert.equal(summary.restored.length, 0);
+  assert.equal(fs.readFileSync(path.join(dir, 'b.png'), 'utf8'), 'newcomer');
+});
+
+test('a restored file stays restored until it is renamed again', async (t) => {
+  const { dir, journal } = setup(t, ['Screenshot 1.png']);
+  const original = path.join(dir, 'Screenshot 1.png');
+  rename(journal, dir, 'Screenshot 1.png', 'login_form.png');
+  assert.equal(journal.wasRestored(original), false);
+
+  // Undone by another process, as the CLI does while the watcher runs
+  await new RenameJournal(journal.journalPath).undo(journal.select());
+  assert.equal(journal.wasRestored(original), true);
+
+  // No time limit: an hour-old undo still counts
+  const lines = fs.readFileSync(journal.journalPath, 'utf8');
+  fs.writeFileSync(journal.journalPath, lines.replace(/"time":"[^"]+","ref"/, `"time":"${new Date(Date.now() - 60 * 60 * 1000).toISOString()}","ref"`));
+  assert.equal(new RenameJournal(journal.journalPath).wasRestored(original), true);
+
+  rename(journal, dir, 'Screenshot 1.png', 'login_page.png');
+  assert.equal(journal.wasRestored(original), false);
+});
+
+test('wasRestored reads only what was appended since the last check', async (t) => {
+  const { dir, journal } = setup(t, ['a.png']);
+  rename(journal, dir, 'a.png', 'named.png');
+  await journal.undo(journal.select());
+
+  const readAll = t.mock.method(journal, 'readAll');
+  const readSync = t.mock.method(fs, 'readSync');
+  assert.equal(journal.wasRestored(path.join(dir, 'a.png')), true);
+  assert.equal(journal.wasRestored(path.join(dir, 'b.png')), false);
+  assert.equal(journal.wasRestored(path.join(dir, 'a.png')), true);
+
+  assert.equal(readAll.mock.callCount(), 0);
+  assert.equal(readSync.mock.callCount(), 1);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Provider health is recorded under the home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const {
+  RetryingAnalyzer,
+  isRetryable,
+  isUnreachable,
+  getRetryAfter,
+  getBackoffDelay
+} = require('../src/analyzers/retry');
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status }, extra);
+}
+
+function codeError(code) {
+  return Object.assign(new Error('request failed'), { code });
+}
+
+test('isRetryable retries rate limits, overload and dropped connections', () => {
+  for (const status of [408, 429, 500, 502, 503, 504]) {
+    assert.ok(isRetryable(httpError(status)), `status ${status}`);
+  }
+  assert.ok(isRetryable({ statusCode: '503', message: '' }));
+  assert.ok(isRetryable(codeError('ECONNRESET')));
+  assert.ok(isRetryable(Object.assign(new Error('fetch failed'), { cause: { code: 'ETIMEDOUT' } })));
+  assert.ok(isRetryable(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+  assert.ok(isRetryable(new Error('Request timed out')));
+});
+
+test('isRetryable gives up on bad requests, keys and refused connections', () => {
+  for (const status of [400, 401, 403, 404]) {
+    assert.ok(!isRetryable(httpError(status)), `status ${status}`);
+  }
+  assert.ok(!isRetryable(codeError('ECONNREFUSED')));
+  assert.ok(!isRetryable(new Error('Invalid JSON in response')));
+  assert.ok(!isRetryable(null));
+});
+
+test('an explicit retryable flag wins', () => {
+  assert.ok(!isRetryable(httpError(503, { retryable: false })));
+  assert.ok(isRetryable(Object.assign(new Error('odd'), { retryable: true })));
+});
+
+test('isUnreachable means no connection was made', () => {
+  assert.ok(isUnreachable(codeError('ECONNREFUSED')));
+  assert.ok(isUnreachable(codeError('ENOTFOUND')));
+  assert.ok(isUnreachable(Object.assign(new Error('fetch failed'), { cause: { code: 'EHOSTUNREACH' } })));
+  assert.ok(isUnreachable(new Error('[GoogleGenerativeAI Error]: fetch failed')));
+  assert.ok(isUnreachable(codeError('UND_ERR_CONNECT_TIMEOUT')));
+
+  assert.ok(!isUnreachable(codeError('ECONNRESET')));
+  assert.ok(!isUnreachable(codeError('ETIMEDOUT')));
+  assert.ok(!isUnreachable(httpError(503)));
+  assert.ok(!isUnreachable(httpError(502, { message: 'fetch failed' })));
+  assert.ok(!isUnreachable(new Error('Request timed out')));
+  assert.ok(!isUnreachable(null));
+});
+
+test('getRetryAfter reads seconds, HTTP dates and Gemini RetryInfo', () => {
+  assert.equal(getRetryAfter(httpError(429, { retryAfter: '12' })), 12000);
+  assert.equal(getRetryAfter(httpError(429, { retryAfter: 1.5 })), 1500);
+  assert.equal(getRetryAfter(httpError(429, { errorDetails: [{ '@type': 'Help' }, { retryDelay: '30s' }] })), 30000);
+
+  const later = getRetryAfter(httpError(503, { retryAfter: new Date(Date.now() + 20000).toUTCString() }));
+  assert.ok(later > 15000 && later <= 20000, `got ${later}`);
+  assert.equal(getRetryAfter(httpError(503, { retryAfter: new Date(Date.now() - 20000).toUTCString() })), 0);
+
+  assert.equal(getRetryAfter(httpError(503)), null);
+  assert.equal(getRetryAfter(httpError(503, { retryAfter: 'soon' })), null);
+});
+
+test('getBackoffDelay doubles with jitter and honours the server', () => {
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const full = 1000 * 2 ** (attempt - 1);
+    for (let i = 0; i < 50; i++) {
+      const delay = getBackoffDelay(attempt, 1000);
+      assert.ok(delay >= full / 2 && delay <= full, `attempt ${attempt}: ${delay}`);
+    }
+  }
+  assert.ok(getBackoffDelay(20, 1000) <= 60000);
+  assert.equal(getBackoffDelay(1, 1000, 7000), 7000);
+  assert.equal(getBackoffDelay(1, 1000, 0), 0);
+  assert.equal(getBackoffDelay(1, 1000, 10 * 60 * 1000), 60000);
+});
+
+/**
+ * A RetryingAnalyzer around an analyzer that throws the given errors in
+ * turn and then answers; waits are recorded instead of slept
+ */
+function retrying(provider, errors, config = {}) {
+  const analyzer = {
+    calls: 0,
+    async analyzeImage() {
+      const error = errors[this.calls++];
+      if (error) throw error;
+      return { name: 'answered' };
+    }
+  };
+  const wrapped = new RetryingAnalyzer(analyzer, { aiProvider: provider, retryDelay: 1000, ...config });
+  wrapped.waits = [];
+  wrapped.delay = async (ms) => { wrapped.waits.push(ms); };
+  return wrapped;
+}
+
+test('RetryingAnalyzer retries transient failures until the analyzer answers', async () => {
+  const wrapped = retrying('retry-transient', [httpError(503), httpError(429, { retryAfter: '2' })]);
+  const analysis = await wrapped.analyzeImage('/shots/a.png');
+
+  assert.equal(analysis.name, 'answered');
+  assert.equal(wrapped.analyzer.calls, 3);
+  assert.equal(wrapped.waits.length, 2);
+  assert.equal(wrapped.waits[1], 2000);
+});
+
+test('RetryingAnalyzer falls back at once on errors retrying will not fix', async () => {
+  const wrapped = retrying('retry-fatal', [httpError(401)]);
+  const analysis = await wrapped.analyzeImage('/shots/a.png');
+
+  assert.equal(wrapped.analyzer.calls, 1);
+  assert.equal(analysis.fallback, true);
+  assert.equal(analysis.unavailable, undefined);
+});
+
+test('RetryingAnalyzer marks an unreachable provider unavailable', async () => {
+  const wrapped = retrying('retry-offline', [codeError('ECONNREFUSED')]);
+  const analysis = await wrapped.analyzeImage('/shots/a.png');
+
+  assert.equal(analysis.fallback, true);
+  assert.equal(analysis.unavailable, true);
+});
+
+test('RetryingAnalyzer stops after maxRetries', async () => {
+  const wrapped = retrying('retry-exhausted', [httpError(503), httpError(503), httpError(503)], { maxRetries: 1 });
+  const analysis = await wrapped.analyzeImage('/shots/a.png');
+
+  assert.equal(wrapped.analyzer.calls, 2);
+  assert.equal(analysis.fallback, true);
+});
+
+test('RetryingAnalyzer skips a provider whose circuit is open', async () => {
+  const refused = () => codeError('ECONNREFUSED');
+  const wrapped = retrying('retry-circuit', [refused(), refused(), refused(), refused()], { circuitBreakerThreshold: 2 });
+
+  await wrapped.analyzeImage('/shots/a.png');
+  await wrapped.analyzeImage('/shots/b.png');
+  const analysis = await wrapped.analyzeImage('/shots/c.png');
+
+  assert.equal(wrapped.analyzer.calls, 2);
+  assert.equal(analysis.unavailable, true);
+});
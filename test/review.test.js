@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Reviews, journal and caches go to a throwaway home
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const config = require('../src/config');
+const RenamePipeline = require('../src/rename-pipeline');
+const ReviewQueue = require('../src/review-queue');
+
+/**
+ * A pipeline whose analyzer answers with an unsure name, and a folder
+ * holding one screenshot
+ */
+function setup(t, settings = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-review-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'Screenshot 1.png');
+  fs.writeFileSync(filePath, `pixels ${dir}`);
+
+  const pipeline = new RenamePipeline();
+  pipeline.reviews = new ReviewQueue(path.join(dir, 'reviews.json'));
+  pipeline.getAnalyzer = () => ({
+    analyzeImage: async () => ({
+      name: 'login_form', description: '', tags: [], category: null, detectedApp: null, confidence: 0.2, alternatives: []
+    })
+  });
+
+  const profileConfig = { ...config.defaultConfig, watchFolder: dir, minConfidence: 0.6, ...settings };
+  return { dir, filePath, pipeline, profileConfig };
+}
+
+test('an unsure name is held for review with the original name kept', async (t) => {
+  const { dir, filePath, pipeline, profileConfig } = setup(t);
+
+  const result = await pipeline.processFile(filePath, profileConfig, {});
+
+  assert.equal(result.status, 'review');
+  assert.equal(result.reason, 'Confidence 0.20 below 0.6');
+  assert.equal(result.suggestedPath, path.join(dir, 'login_form.png'));
+  assert.ok(fs.existsSync(filePath));
+
+  const [review] = pipeline.reviews.getPending();
+  assert.equal(review.id, result.reviewId);
+  assert.equal(pipeline.reviews.findPending(review.id.slice(0, 8)), review);
+});
+
+test('accepting a review uses the suggested name', async (t) => {
+  const { dir, filePath, pipeline, profileConfig } = setup(t);
+  await pipeline.processFile(filePath, profileConfig, {});
+  const [review] = pipeline.reviews.getPending();
+
+  const outcome = await pipeline.resolveReview(review, 'accept', profileConfig);
+
+  assert.equal(outcome.status, 'renamed');
+  assert.equal(outcome.newFilePath, path.join(dir, 'login_form.png'));
+  assert.ok(!fs.existsSync(filePath));
+  assert.equal(review.state, 'accepted');
+  assert.equal(review.finalPath, outcome.newFilePath);
+  assert.deepEqual(pipeline.reviews.getPending(), []);
+});
+
+test('dismissing a review puts back the original name', async (t) => {
+  const { dir, filePath, pipeline, profileConfig } = setup(t, { lowConfidenceAction: 'marker' });
+  const result = await pipeline.processFile(filePath, profileConfig, {});
+  assert.equal(result.newFilePath, path.join(dir, 'Screenshot 1_review.png'));
+  const [review] = pipeline.reviews.getPending();
+
+  const outcome = await pipeline.resolveReview(review, 'dismiss', profileConfig);
+
+  assert.equal(outcome.newFilePath, filePath);
+  assert.ok(fs.existsSync(filePath));
+  assert.equal(review.state, 'dismissed');
+});
+
+test('a review can be renamed by hand, and reviews of vanished files are settled', async (t) => {
+  const { dir, filePath, pipeline, profileConfig } = setup(t);
+  await pipeline.processFile(filePath, profileConfig, {});
+  const [review] = pipeline.reviews.getPending();
+
+  await assert.rejects(pipeline.resolveReview(review, 'rename', profileConfig, '  '), /A new name is required/);
+  await assert.rejects(pipeline.resolveReview(review, 'shrug', profileConfig), /Unknown review action: shrug/);
+
+  const outcome = await pipeline.resolveReview(review, 'rename', profileConfig, 'Sign in page.png');
+  assert.equal(outcome.newFilePath, path.join(dir, 'Sign in page.png'));
+  assert.equal(review.state, 'renamed');
+
+  const gone = pipeline.reviews.add({ filePath: path.join(dir, 'gone.png'), originalPath: path.join(dir, 'gone.png'), suggestedPath: path.join(dir, 'x.png') });
+  assert.equal((await pipeline.resolveReview(gone, 'accept', profileConfig)).status, 'failed');
+  assert.equal((await pipeline.resolveReview(gone, 'dismiss', profileConfig)).status, 'skipped');
+  assert.equal(gone.state, 'dismissed');
+});
+
+test('the review queue survives a restart and rejects unknown states', (t) => {
+  const { dir } = setup(t);
+  const reviewPath = path.join(dir, 'reviews.json');
+  const queue = new ReviewQueue(reviewPath);
+  const first = queue.add({ filePath: '/a.png', originalPath: '/a.png', suggestedPath: '/b.png' });
+  const replacement = queue.add({ filePath: '/a.png', originalPath: '/a.png', suggestedPath: '/c.png' });
+
+  const reloaded = new ReviewQueue(reviewPath);
+  assert.deepEqual(reloaded.getPending().map(review => review.id), [replacement.id]);
+  assert.equal(reloaded.resolve(first.id, 'accepted'), null);
+  assert.throws(() => reloaded.resolve(replacement.id, 'maybe'), /Unknown review state: maybe/);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the config and logger away from the real home directory
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-home-'));
+test.after(() => fs.rmSync(process.env.HOME, { recursive: true, force: true }));
+
+const RulesEngine = require('../src/rules-engine');
+const config = require('../src/config');
+const { validateDestination, expandDestination } = require('../src/destination-template');
+
+function context(overrides = {}) {
+  return {
+    name: 'stripe_invoice_error',
+    keywords: ['stripe', 'invoice', 'error', 'billing'],
+    category: 'Finance',
+    sourceFolder: '/shots/work',
+    width: 1440,
+    height: 900,
+    date: new Date(2025, 2, 4, 10, 0, 0),
+    ...overrides
+  };
+}
+
+test('a rule matches only when every condition holds', () => {
+  const engine = new RulesEngine();
+  const matches = (match, overrides) => engine.matches({ match, destination: 'x' }, context(overrides));
+
+  assert.ok(matches({}));
+  assert.ok(matches({ name: 'stripe_*' }));
+  assert.ok(!matches({ name: 'paypal_*' }));
+  assert.ok(matches({ keywords: ['Error', 'exception'] }));
+  assert.ok(!matches({ keywords: ['exception'] }));
+  assert.ok(matches({ category: 'finance' }));
+  assert.ok(matches({ category: ['code', 'Finance'] }));
+  assert.ok(!matches({ category: 'finance' }, { category: null }));
+  assert.ok(matches({ sourceFolder: '/shots' }));
+  assert.ok(!matches({ sourceFolder: '/shot' }));
+  assert.ok(matches({ minWidth: 1440, maxHeight: 900 }));
+  assert.ok(!matches({ minWidth: 1441 }));
+  assert.ok(!matches({ maxWidth: 2000 }, { width: null }));
+  assert.ok(matches({ after: '2025-03-01', before: '2025-04-01' }));
+  assert.ok(!matches({ before: '2025-03-01' }));
+  assert.ok(!matches({ keywords: ['stripe'], category: 'code' }));
+});
+
+test('destinations expand their tokens from the image folder', () => {
+  const engine = new RulesEngine();
+
+  assert.equal(engine.resolveDestination('archive/{year}-{month}-{day}', context()), '/shots/work/archive/2025-03-04');
+  assert.equal(engine.resolveDestination('/sorted/{category}', context()), '/sorted/finance');
+  assert.equal(engine.resolveDestination('/sorted/{category}', context({ category: null })), '/sorted/uncategorized');
+  assert.equal(engine.resolveDestination('~/Sorted', context()), path.join(os.homedir(), 'Sorted'));
+  assert.equal(expandDestination('{year}/{other}', { year: 2025 }), '2025/{other}');
+});
+
+test('findDestination uses the first matching rule', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const image = path.join(dir, 'shot.png');
+  fs.writeFileSync(image, '');
+
+  const engine = new RulesEngine([
+    { name: 'errors', match: { keywords: ['exception'] }, destination: 'errors' },
+    { name: 'finance', match: { category: 'finance' }, destination: 'money/{category}' },
+    { name: 'everything', destination: 'rest' }
+  ]);
+
+  const found = await engine.findDestination(image, { name: 'stripe invoice', tags: ['billing'], category: 'finance' });
+  assert.equal(found.rule.name, 'finance');
+  assert.equal(found.directory, path.join(dir, 'money', 'finance'));
+
+  const rest = await engine.findDestination(image, { name: 'cat photo' });
+  assert.equal(rest.rule.name, 'everything');
+  assert.equal(await new RulesEngine().findDestination(image, { name: 'cat photo' }), null);
+});
+
+test('unknown destination tokens are reported, once each', () => {
+  assert.deepEqual(validateDestination('~/Shots/{year}/{category}'), []);
+  assert.deepEqual(validateDestination('{yaer}/{yaer}/{desc}'), [
+    'Unknown destination token {yaer}. Available: {year}, {month}, {day}, {category}',
+    'Unknown destination token {desc}. Available: {year}, {month}, {day}, {category}'
+  ]);
+});
+
+test('the configuration rejects rules with unknown destination tokens', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'renamer-rules-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const settings = (destination) => ({ ...config.defaultConfig, watchFolder: dir, rules: [{ destination }] });
+
+  assert.deepEqual(config.validate(settings('sorted/{month}')).errors, []);
+  assert.deepEqual(config.validate(settings('sorted/{week}')).errors, [
+    'rules.0.destination: Unknown destination token {week}. Available: {year}, {month}, {day}, {category}'
+  ]);
+});